@@ -7,15 +7,30 @@
 // ========== GLOBAL STATE ==========
 let gameState = null;
 let gameMode = null;       // 'player' or 'bot'
-let botDifficulty = null;  // 'beginner', 'medium', 'pro'
+let botDifficulty = null;  // level on the ChessBot ladder, 1–10
+let botPersona = 'balanced'; // ChessBot.PERSONAS key
+let colorChoice = 'w';     // side picked in setup: 'w', 'b' or 'random'
+let humanColor = 'w';      // side the human plays against the bot
+let boardFlipped = false;  // Black at the bottom
+let autoFlip = localStorage.getItem('chess-auto-flip') === 'on'; // PvP: side to move at the bottom
 let selectedSquare = null; // { r, c }
 let legalMovesForSelected = [];
 let lastMove = null;       // { fromR, fromC, toR, toC }
-let whiteTime = 600;       // seconds
-let blackTime = 600;
+let timeControlChoice = '10+0'; // ChessClock.PRESETS id, or 'custom'
+let gameClock = null;      // ChessClock clock of the current game
+let moveTimes = [];        // per ply: { color, spent, clock } in ms, clock being the time left after it
+let lowTimeWarned = { w: false, b: false };
+let challengeTimeControl = '5+0'; // preset picked on the Challenge page
 let timerInterval = null;
 let isBotThinking = false;
+let botWorker = null;      // Worker running the bot search, created on demand
+let botWorkerBusy = false; // the worker has a search that hasn't answered yet
+let botSearchId = 0;       // id of the current search; older results are ignored
+let botSearchTimer = null; // pending delayed search start
 let pendingPromotion = null; // { move }
+let gameStartedAt = null;  // Date the current game began
+let openingBookData = null; // ArrayBuffer of a loaded Polyglot book
+let openingReplayTimer = null; // Trainer opening being played out on the board
 
 // ========== LOADING SCREEN ==========
 window.addEventListener('load', () => {
@@ -151,35 +166,170 @@ function selectOpponent(type) {
   }
 }
 
+// A Polyglot .bin book replaces the bundled repertoire for the bot
+function loadOpeningBook(file) {
+  if (!file) return;
+  file.arrayBuffer().then(data => {
+    ChessBot.setBook(ChessBook.fromPolyglot(data));
+    openingBookData = data;
+    if (botWorker) botWorker.postMessage({ type: 'book', data });
+    document.getElementById('book-name').textContent = file.name;
+    showToast(`Opening book loaded: ${file.name}`);
+  }).catch(err => {
+    showToast(`Could not load book: ${err.message}`);
+  });
+}
+
 function selectDifficulty(level) {
   botDifficulty = level;
   document.querySelectorAll('.diff-card').forEach(c => {
-    c.classList.toggle('active', c.getAttribute('data-level') === level);
+    c.classList.toggle('active', Number(c.getAttribute('data-level')) === level);
   });
   document.getElementById('setup-actions').classList.remove('hidden');
 }
 
+function selectColor(choice) {
+  colorChoice = choice;
+  document.querySelectorAll('.color-chip').forEach(c => {
+    c.classList.toggle('active', c.getAttribute('data-color') === choice);
+  });
+}
+
+function selectTimeControl(id) {
+  timeControlChoice = id;
+  document.querySelectorAll('.time-chip').forEach(c => {
+    c.classList.toggle('active', c.getAttribute('data-tc') === id);
+  });
+  document.getElementById('custom-time').classList.toggle('hidden', id !== 'custom');
+}
+
+// The time control picked in setup; null for an untimed game. Throws
+// when the custom fields don't make a valid one.
+function selectedTimeControl() {
+  if (timeControlChoice !== 'custom') return ChessClock.getPreset(timeControlChoice).timeControl;
+  const value = id => document.getElementById(id).value;
+  const base = Number(value('tc-base')) * 60;
+  const blackBase = value('tc-odds') ? Number(value('tc-odds')) * 60 : null;
+  return ChessClock.createTimeControl({
+    base,
+    increment: Number(value('tc-increment')) || 0,
+    delay: Number(value('tc-delay')) || 0,
+    delayMode: value('tc-delay-mode'),
+    odds: blackBase !== null && blackBase !== base ? { w: base, b: blackBase } : null
+  });
+}
+
+function selectPersona(persona) {
+  botPersona = persona;
+  document.querySelectorAll('.persona-chip').forEach(c => {
+    c.classList.toggle('active', c.getAttribute('data-persona') === persona);
+  });
+}
+
+// Level cards and persona chips come from the bot's own tables
+(function initBotSetup() {
+  const ladder = document.getElementById('level-ladder');
+  if (!ladder) return;
+  ChessBot.LEVELS.forEach(({ level, name, elo }) => {
+    const card = document.createElement('div');
+    card.className = 'diff-card';
+    card.dataset.level = level;
+    card.innerHTML = `<div class="diff-icon">${level <= 3 ? '🌱' : level <= 7 ? '⚡' : '🏆'}</div>` +
+      `<h4>${level}. ${escapeHtml(name)}</h4><p>≈${elo} Elo</p>`;
+    card.addEventListener('click', () => selectDifficulty(level));
+    ladder.appendChild(card);
+  });
+
+  const chips = document.getElementById('persona-chips');
+  Object.entries(ChessBot.PERSONAS).forEach(([id, persona]) => {
+    const chip = document.createElement('button');
+    chip.className = 'persona-chip' + (id === botPersona ? ' active' : '');
+    chip.dataset.persona = id;
+    chip.title = persona.description;
+    chip.textContent = persona.name;
+    chip.addEventListener('click', () => selectPersona(id));
+    chips.appendChild(chip);
+  });
+})();
+
+// Time control chips: the ChessClock presets plus a custom one
+(function initTimeControls() {
+  const chips = document.getElementById('time-control-chips');
+  if (!chips) return;
+  const choices = ChessClock.PRESETS.map(({ id, name, category }) => ({ id, name, category }))
+    .concat({ id: 'custom', name: 'Custom', category: 'Your own settings' });
+  choices.forEach(({ id, name, category }) => {
+    const chip = document.createElement('button');
+    chip.className = 'time-chip' + (id === timeControlChoice ? ' active' : '');
+    chip.dataset.tc = id;
+    chip.title = category;
+    chip.textContent = name;
+    chip.addEventListener('click', () => selectTimeControl(id));
+    chips.appendChild(chip);
+  });
+})();
+
+// "Club Player Bot (≈1200)", plus the persona unless it is the default
+function botDisplayName() {
+  const level = ChessBot.getLevel(botDifficulty);
+  const persona = botPersona !== 'balanced' ? ` · ${ChessBot.PERSONAS[botPersona].name}` : '';
+  return `${level.name} Bot (≈${level.elo})${persona}`;
+}
+
 // ========== START GAME ==========
 function startGame() {
   if (!gameMode) { showToast('Please select an opponent type.'); return; }
   if (gameMode === 'bot' && !botDifficulty) { showToast('Please select a difficulty level.'); return; }
+  let timeControl;
+  try {
+    timeControl = selectedTimeControl();
+  } catch (err) {
+    showToast(err.message);
+    return;
+  }
+
+  // A search or opening replay from the previous game must not play
+  // into this one
+  stopBotSearch();
+  stopOpeningReplay();
 
   // Init engine
   gameState = ChessEngine.createGameState();
   selectedSquare = null;
   legalMovesForSelected = [];
   lastMove = null;
-  whiteTime = 600;
-  blackTime = 600;
+  gameClock = ChessClock.createClock(timeControl);
+  moveTimes = [];
+  lowTimeWarned = { w: false, b: false };
   isBotThinking = false;
   pendingPromotion = null;
+  premoves = [];
+  boardMarks = { squares: [], arrows: [] };
+  moveMarks = [];
+  gameArchiveId = null;
+  resetHistoryView();
+  gameStartedAt = new Date();
+  humanColor = gameMode !== 'bot' ? 'w'
+    : colorChoice === 'random' ? (Math.random() < 0.5 ? 'w' : 'b')
+    : colorChoice;
+  boardFlipped = humanColor === 'b';
+  syncAutoFlip();
+  enterGame();
+}
+
+// Show the board for the game set up in the globals and get it going
+function enterGame() {
+  applyBoardOrientation();
+  updateAutoFlipButton();
 
   // Update player names
-  document.getElementById('white-name').textContent = 'You (White)';
-  document.getElementById('black-name').textContent =
-    gameMode === 'bot'
-      ? `Bot (${botDifficulty.charAt(0).toUpperCase() + botDifficulty.slice(1)})`
-      : 'Player 2 (Black)';
+  if (gameMode === 'bot') {
+    document.getElementById('white-name').textContent = humanColor === 'w' ? 'You (White)' : botDisplayName();
+    document.getElementById('black-name').textContent = humanColor === 'b' ? 'You (Black)' : botDisplayName();
+  } else {
+    document.getElementById('white-name').textContent = 'You (White)';
+    document.getElementById('black-name').textContent = 'Player 2 (Black)';
+  }
 
   // Show board, hide setup
   document.getElementById('game-setup').classList.add('hidden');
@@ -188,69 +338,425 @@ function startGame() {
   renderBoard();
   updateTurnIndicator();
   updateCaptured();
-  clearMoveHistory();
+  updateDrawClaim();
+  rebuildMoveHistory();
   startTimer();
+  queueBotMove();
+  saveGame();
 }
 
 // ========== RENDER BOARD ==========
-function renderBoard() {
+// The 64 squares are built once and updated in place. They keep engine
+// coordinates in data-row/data-col; only the order they are laid out in
+// follows the orientation.
+let squareEls = null;         // squareEls[r][c]
+let boardLayoutFlipped = null; // orientation the squares are laid out in
+
+function buildBoard() {
   const boardEl = document.getElementById('chess-board');
   boardEl.innerHTML = '';
-
+  buildMarksLayer(boardEl);
+  squareEls = [];
   for (let r = 0; r < 8; r++) {
+    squareEls.push([]);
     for (let c = 0; c < 8; c++) {
       const sq = document.createElement('div');
-      const isLight = (r + c) % 2 === 0;
-      sq.className = `square ${isLight ? 'square-light' : 'square-dark'}`;
       sq.dataset.row = r;
       sq.dataset.col = c;
+      sq.addEventListener('click', () => handleSquareClick(r, c));
+      squareEls[r].push(sq);
+    }
+  }
+}
+
+function layoutBoard() {
+  const boardEl = document.getElementById('chess-board');
+  for (let i = 0; i < 8; i++) {
+    for (let j = 0; j < 8; j++) {
+      boardEl.appendChild(boardFlipped ? squareEls[7 - i][7 - j] : squareEls[i][j]);
+    }
+  }
+  boardLayoutFlipped = boardFlipped;
+}
+
+function renderBoard() {
+  if (!squareEls) buildBoard();
+  if (boardLayoutFlipped !== boardFlipped) layoutBoard();
+
+  // While the history is browsed the board shows that position instead
+  const shown = viewState || gameState;
+  const shownMove = viewState ? viewedMove() : lastMove;
+  const king = ChessEngine.findKing(shown.board, shown.turn);
+  const checked = king && ChessEngine.isInCheck(shown.board, shown.turn) ? king : null;
+
+  for (let r = 0; r < 8; r++) {
+    for (let c = 0; c < 8; c++) {
+      const sq = squareEls[r][c];
+      const classes = ['square', (r + c) % 2 === 0 ? 'square-light' : 'square-dark'];
 
       // Last move highlight
-      if (lastMove &&
-        ((r === lastMove.fromR && c === lastMove.fromC) ||
-         (r === lastMove.toR && c === lastMove.toC))) {
-        sq.classList.add('last-move');
+      if (shownMove &&
+        ((r === shownMove.fromR && c === shownMove.fromC) ||
+         (r === shownMove.toR && c === shownMove.toC))) {
+        classes.push('last-move');
       }
 
       // Selected highlight
       if (selectedSquare && selectedSquare.r === r && selectedSquare.c === c) {
-        sq.classList.add('selected');
+        classes.push('selected');
       }
 
       // Legal move dots
       const isLegal = legalMovesForSelected.find(m => m.toR === r && m.toC === c);
       if (isLegal) {
-        if (gameState.board[r][c] !== ChessEngine.EMPTY || isLegal.enPassant) {
-          sq.classList.add('legal-capture');
-        } else {
-          sq.classList.add('legal-move');
-        }
+        classes.push(shown.board[r][c] !== ChessEngine.EMPTY || isLegal.enPassant ? 'legal-capture' : 'legal-move');
       }
 
-      // Check highlight
-      const king = ChessEngine.findKing(gameState.board, gameState.turn);
-      if (king && king.r === r && king.c === c && ChessEngine.isInCheck(gameState.board, gameState.turn)) {
-        sq.classList.add('in-check');
+      // Queued premoves
+      if (!viewState && premoves.some(p => (p.fromR === r && p.fromC === c) || (p.toR === r && p.toC === c))) {
+        classes.push('premove');
       }
 
-      // Piece
-      const piece = gameState.board[r][c];
-      if (piece) {
-        const pieceEl = document.createElement('span');
-        pieceEl.className = 'piece';
-        pieceEl.textContent = ChessEngine.PIECE_UNICODE[piece];
-        sq.appendChild(pieceEl);
-      }
+      // Check highlight
+      if (checked && checked.r === r && checked.c === c) classes.push('in-check');
 
-      sq.addEventListener('click', () => handleSquareClick(r, c));
-      boardEl.appendChild(sq);
+      const className = classes.join(' ');
+      if (sq.className !== className) sq.className = className;
+      setSquarePiece(sq, shown.board[r][c]);
+    }
+  }
+  renderMarks();
+  updateHistoryNav();
+}
+
+// The square's piece element, created, changed or removed to match `piece`
+function setSquarePiece(sq, piece) {
+  let pieceEl = sq.querySelector('.piece:not(.fading)');
+  if (!piece) {
+    if (pieceEl) pieceEl.remove();
+    return null;
+  }
+  if (!pieceEl) {
+    pieceEl = document.createElement('span');
+    pieceEl.className = 'piece';
+    sq.appendChild(pieceEl);
+  }
+  const glyph = ChessEngine.PIECE_UNICODE[piece];
+  if (pieceEl.textContent !== glyph) pieceEl.textContent = glyph;
+  return pieceEl;
+}
+
+// ========== MOVE ANIMATION ==========
+// Runs after renderBoard has put the pieces on their new squares: each
+// moved piece slides in from where it was and a captured one fades out.
+const ANIMATION_SPEEDS = { off: 0, fast: 120, normal: 220, slow: 400 }; // ms per move
+let animationSpeed = localStorage.getItem('chess-anim-speed') ||
+  (window.matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches ? 'off' : 'normal');
+
+function animateMove(move, captured, slide = true) {
+  if (viewState) return; // the board shows an earlier position
+  const duration = ANIMATION_SPEEDS[animationSpeed] || 0;
+  const pieceEl = squareEls[move.toR][move.toC].querySelector('.piece:not(.fading)');
+  if (!duration || !pieceEl) return;
+
+  if (slide) {
+    // A promoting pawn travels as a pawn and turns into its new piece on arrival
+    const glyph = pieceEl.textContent;
+    if (move.promotion) {
+      const pawn = gameState.turn === 'w' ? ChessEngine.BP : ChessEngine.WP;
+      pieceEl.textContent = ChessEngine.PIECE_UNICODE[pawn];
     }
+    slidePiece(pieceEl, move.fromR, move.fromC, move.toR, move.toC, duration).then(() => {
+      if (move.promotion && pieceEl.textContent !== glyph) {
+        pieceEl.textContent = glyph;
+        popPiece(pieceEl);
+      }
+    });
+  } else {
+    popPiece(pieceEl);
   }
+
+  if (move.castleKing || move.castleQueen) {
+    const fromC = move.castleKing ? 7 : 0, toC = move.castleKing ? 5 : 3;
+    const rook = squareEls[move.toR][toC].querySelector('.piece:not(.fading)');
+    if (rook) slidePiece(rook, move.toR, fromC, move.toR, toC, duration);
+  }
+
+  if (captured) {
+    fadeOutPiece(move.enPassant ? move.fromR : move.toR, move.toC, captured, duration);
+  }
+}
+
+// Resolves when the slide is over, or at once if it was cut short
+function slidePiece(pieceEl, fromR, fromC, toR, toC, duration) {
+  const from = squareEls[fromR][fromC].getBoundingClientRect();
+  const to = squareEls[toR][toC].getBoundingClientRect();
+  const dx = from.left - to.left, dy = from.top - to.top;
+  pieceEl.style.zIndex = 10;
+  const anim = pieceEl.animate(
+    [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'translate(0, 0)' }],
+    { duration, easing: 'ease-out' }
+  );
+  return anim.finished.catch(() => {}).then(() => { pieceEl.style.zIndex = ''; });
+}
+
+function fadeOutPiece(r, c, piece, duration) {
+  const ghost = document.createElement('span');
+  ghost.className = 'piece fading';
+  ghost.textContent = ChessEngine.PIECE_UNICODE[piece];
+  squareEls[r][c].appendChild(ghost);
+  ghost.animate([{ opacity: 1 }, { opacity: 0 }], { duration, easing: 'ease-in' })
+    .finished.catch(() => {}).then(() => ghost.remove());
+}
+
+function popPiece(pieceEl) {
+  pieceEl.classList.add('drop-anim');
+  setTimeout(() => pieceEl.classList.remove('drop-anim'), 250);
 }
 
+function setAnimationSpeed(speed) {
+  animationSpeed = ANIMATION_SPEEDS[speed] !== undefined ? speed : 'normal';
+  localStorage.setItem('chess-anim-speed', animationSpeed);
+}
+
+(function initAnimationSpeed() {
+  const select = document.getElementById('anim-speed');
+  if (select) select.value = ANIMATION_SPEEDS[animationSpeed] !== undefined ? animationSpeed : 'normal';
+})();
+
+// ========== BOARD ORIENTATION ==========
+// The side at the bottom gets the lower player bar; coordinates follow
+// the board through the .flipped class.
+function applyBoardOrientation() {
+  document.querySelector('.board-wrapper').classList.toggle('flipped', boardFlipped);
+  const top = document.querySelector('.game-top-bar');
+  const bottom = document.querySelector('.game-bottom-bar');
+  const whiteInfo = document.getElementById('player-white-info');
+  const blackInfo = document.getElementById('player-black-info');
+  top.appendChild(boardFlipped ? whiteInfo : blackInfo);
+  bottom.appendChild(boardFlipped ? blackInfo : whiteInfo);
+}
+
+function flipBoard() {
+  if (!gameState) return;
+  boardFlipped = !boardFlipped;
+  applyBoardOrientation();
+  renderBoard();
+}
+
+// Two people sharing a device: turn the board to whoever is to move
+function syncAutoFlip() {
+  if (!autoFlip || gameMode !== 'player') return;
+  const flipped = gameState.turn === 'b';
+  if (flipped === boardFlipped) return;
+  boardFlipped = flipped;
+  applyBoardOrientation();
+}
+
+function toggleAutoFlip() {
+  autoFlip = !autoFlip;
+  localStorage.setItem('chess-auto-flip', autoFlip ? 'on' : 'off');
+  updateAutoFlipButton();
+  if (gameState) {
+    syncAutoFlip();
+    renderBoard();
+  }
+}
+
+function updateAutoFlipButton() {
+  const btn = document.getElementById('auto-flip-btn');
+  btn.classList.toggle('hidden', gameMode !== 'player');
+  btn.classList.toggle('active', autoFlip);
+  btn.setAttribute('aria-pressed', autoFlip);
+}
+
+// F flips the board while a game is on screen
+document.addEventListener('keydown', (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.key.toLowerCase() !== 'f') return;
+  const target = e.target;
+  if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+  if (!gameState || document.getElementById('game-container').classList.contains('hidden')) return;
+  e.preventDefault();
+  flipBoard();
+});
+
+// ========== BOARD MARKUP ==========
+// Right-click a square to highlight it, right-drag to draw an arrow;
+// Shift, Alt or both pick red, blue or yellow instead of green. Marks use
+// the PGN [%csl]/[%cal] shape and clear on the next move; the ones drawn
+// after a move are kept for the PGN export. Code can draw its own arrows
+// through setEngineArrows.
+const MARK_COLORS = { G: '#15781b', R: '#882020', B: '#003088', Y: '#e68f00' };
+let boardMarks = { squares: [], arrows: [] }; // the user's marks on the current position
+let engineArrows = [];     // arrows set from code, e.g. the bot's best move
+let moveMarks = [];        // marks per ply index, for the PGN export
+let markDrag = null;       // { from, to, color } while a right-drag is in progress
+
+function markColor(e) {
+  if (e.shiftKey && e.altKey) return 'Y';
+  if (e.shiftKey) return 'R';
+  if (e.altKey) return 'B';
+  return 'G';
+}
+
+function toggleSquareMark(square, color) {
+  const i = boardMarks.squares.findIndex(m => m.square === square);
+  const same = i >= 0 && boardMarks.squares[i].color === color;
+  if (i >= 0) boardMarks.squares.splice(i, 1);
+  if (!same) boardMarks.squares.push({ square, color });
+  saveMoveMarks();
+}
+
+function toggleArrowMark(from, to, color) {
+  const i = boardMarks.arrows.findIndex(m => m.from === from && m.to === to);
+  const same = i >= 0 && boardMarks.arrows[i].color === color;
+  if (i >= 0) boardMarks.arrows.splice(i, 1);
+  if (!same) boardMarks.arrows.push({ from, to, color });
+  saveMoveMarks();
+}
+
+// Marks annotate the move that led to the position; the start position
+// has no move to hold them
+function saveMoveMarks() {
+  const ply = gameState.history.length - 1;
+  if (ply < 0) return;
+  moveMarks[ply] = boardMarks.squares.length || boardMarks.arrows.length
+    ? { squares: boardMarks.squares.slice(), arrows: boardMarks.arrows.slice() }
+    : null;
+}
+
+function clearBoardMarks() {
+  boardMarks = { squares: [], arrows: [] };
+  markDrag = null;
+  renderMarks();
+}
+
+// arrows: [{ from, to, color }] with squares like 'e2' and a MARK_COLORS key
+function setEngineArrows(arrows) {
+  engineArrows = arrows;
+  renderMarks();
+}
+
+// Center of a square in the overlay's 8×8 viewBox
+function markPoint(square) {
+  const { row, col } = ChessEngine.parseSquare(square);
+  return boardFlipped ? { x: 7.5 - col, y: 7.5 - row } : { x: col + 0.5, y: row + 0.5 };
+}
+
+function arrowElement(from, to, color, className) {
+  const a = markPoint(from), b = markPoint(to);
+  const len = Math.hypot(b.x - a.x, b.y - a.y);
+  // Stop short of the center so the head sits inside the target square
+  const ux = (b.x - a.x) / len, uy = (b.y - a.y) / len;
+  const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+  line.setAttribute('x1', a.x + ux * 0.2);
+  line.setAttribute('y1', a.y + uy * 0.2);
+  line.setAttribute('x2', b.x - ux * 0.3);
+  line.setAttribute('y2', b.y - uy * 0.3);
+  line.setAttribute('stroke', MARK_COLORS[color]);
+  line.setAttribute('marker-end', `url(#mark-head-${color})`);
+  line.setAttribute('class', className);
+  return line;
+}
+
+function renderMarks() {
+  const svg = document.getElementById('board-marks');
+  if (!svg || !gameState) return;
+  svg.querySelectorAll('.mark').forEach(el => el.remove());
+
+  // A browsed position shows the marks saved with its move
+  const marks = viewState ? moveMarks[viewPly - 1] || { squares: [], arrows: [] } : boardMarks;
+  for (const { square, color } of marks.squares) {
+    const { x, y } = markPoint(square);
+    const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    circle.setAttribute('cx', x);
+    circle.setAttribute('cy', y);
+    circle.setAttribute('r', 0.45);
+    circle.setAttribute('stroke', MARK_COLORS[color]);
+    circle.setAttribute('class', 'mark mark-square');
+    svg.appendChild(circle);
+  }
+  if (!viewState) {
+    for (const { from, to, color } of engineArrows) svg.appendChild(arrowElement(from, to, color, 'mark mark-engine'));
+  }
+  for (const { from, to, color } of marks.arrows) svg.appendChild(arrowElement(from, to, color, 'mark mark-arrow'));
+  if (markDrag && markDrag.to && markDrag.to !== markDrag.from) {
+    svg.appendChild(arrowElement(markDrag.from, markDrag.to, markDrag.color, 'mark mark-arrow mark-preview'));
+  }
+}
+
+function buildMarksLayer(boardEl) {
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(ns, 'svg');
+  svg.id = 'board-marks';
+  svg.setAttribute('class', 'board-marks');
+  svg.setAttribute('viewBox', '0 0 8 8');
+  const defs = document.createElementNS(ns, 'defs');
+  Object.entries(MARK_COLORS).forEach(([key, fill]) => {
+    const marker = document.createElementNS(ns, 'marker');
+    marker.id = `mark-head-${key}`;
+    marker.setAttribute('viewBox', '0 0 10 10');
+    marker.setAttribute('refX', '1');
+    marker.setAttribute('refY', '5');
+    marker.setAttribute('markerWidth', '3');
+    marker.setAttribute('markerHeight', '3');
+    marker.setAttribute('orient', 'auto');
+    const head = document.createElementNS(ns, 'path');
+    head.setAttribute('d', 'M0,0 L10,5 L0,10 z');
+    head.setAttribute('fill', fill);
+    marker.appendChild(head);
+    defs.appendChild(marker);
+  });
+  svg.appendChild(defs);
+  boardEl.appendChild(svg);
+}
+
+(function initBoardMarks() {
+  const boardEl = document.getElementById('chess-board');
+  if (!boardEl) return;
+  const squareOf = (e) => {
+    const target = squareAtPoint(e.clientX, e.clientY);
+    return target && ChessEngine.squareName(target.r, target.c);
+  };
+
+  boardEl.addEventListener('contextmenu', (e) => e.preventDefault());
+  boardEl.addEventListener('pointerdown', (e) => {
+    if (e.button !== 2 || !gameState || viewState) return;
+    // With premoves queued, a right-click clears them instead
+    if (premoves.length || (selectedSquare && isPremoveTurn())) {
+      clearPremoves();
+      return;
+    }
+    const from = squareOf(e);
+    if (from) markDrag = { from, to: from, color: markColor(e) };
+  });
+  document.addEventListener('pointermove', (e) => {
+    if (!markDrag) return;
+    const to = squareOf(e);
+    if (to && to !== markDrag.to) {
+      markDrag.to = to;
+      renderMarks();
+    }
+  });
+  document.addEventListener('pointerup', (e) => {
+    if (!markDrag || e.button !== 2) return;
+    const { from, color } = markDrag;
+    const to = squareOf(e) || markDrag.to;
+    markDrag = null;
+    if (to === from) toggleSquareMark(from, color);
+    else toggleArrowMark(from, to, color);
+    renderMarks();
+  });
+})();
+
 // ========== HANDLE SQUARE CLICK ==========
 function handleSquareClick(r, c) {
-  if (gameState.isGameOver || isBotThinking || pendingPromotion) return;
+  if (viewState) {
+    if (!gameState.isGameOver) showToast('Viewing an earlier position. Go back to live to move.');
+    return;
+  }
+  if (isBotThinking && isPremoveTurn()) { handlePremoveClick(r, c); return; }
+  if (gameState.isGameOver || isBotThinking || pendingPromotion || openingReplayTimer) return;
 
   const piece = gameState.board[r][c];
 
@@ -281,8 +787,8 @@ function handleSquareClick(r, c) {
 
   // No piece selected yet — select own piece
   if (piece && ChessEngine.isAlly(piece, gameState.turn)) {
-    // In bot mode, only allow selecting white pieces (human always plays white)
-    if (gameMode === 'bot' && gameState.turn === 'b') return;
+    // In bot mode, only allow selecting the human's own pieces
+    if (gameMode === 'bot' && gameState.turn !== humanColor) return;
     selectPiece(r, c);
   }
 }
@@ -299,8 +805,270 @@ function deselectPiece() {
   renderBoard();
 }
 
+// ========== PREMOVES ==========
+// Against the bot the human can queue moves while it is thinking. Targets
+// follow how the piece moves, ignoring what is in the way; each premove is
+// checked against the legal moves once the turn arrives, and the rest of
+// the queue is dropped with the first one that no longer works. A
+// right-click on the board clears the queue (see initBoardMarks).
+let premoves = [];         // [{ fromR, fromC, toR, toC }] in the order they will be tried
+
+function isPremoveTurn() {
+  return gameMode === 'bot' && !gameState.isGameOver && gameState.turn !== humanColor;
+}
+
+// The board as it will look once the queued premoves are played, so
+// later premoves can start from squares earlier ones moved to
+function premoveBoard() {
+  const board = gameState.board.map(row => row.slice());
+  for (const { fromR, fromC, toR, toC } of premoves) {
+    let piece = board[fromR][fromC];
+    if ((piece === ChessEngine.WP && toR === 0) || (piece === ChessEngine.BP && toR === 7)) {
+      piece = piece === ChessEngine.WP ? ChessEngine.WQ : ChessEngine.BQ;
+    }
+    if ((piece === ChessEngine.WK || piece === ChessEngine.BK) && Math.abs(toC - fromC) === 2) {
+      const rookC = toC > fromC ? 7 : 0;
+      board[toR][toC > fromC ? 5 : 3] = board[toR][rookC];
+      board[toR][rookC] = ChessEngine.EMPTY;
+    }
+    board[toR][toC] = piece;
+    board[fromR][fromC] = ChessEngine.EMPTY;
+  }
+  return board;
+}
+
+const KNIGHT_JUMPS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const ORTHOGONALS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const DIAGONALS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+// Squares the piece on (r, c) could reach on an empty board, plus the
+// castling squares for a king on its home square
+function premoveTargets(board, r, c) {
+  const piece = board[r][c];
+  const white = ChessEngine.isWhite(piece);
+  const targets = [];
+  const add = (tr, tc) => {
+    if (tr >= 0 && tr < 8 && tc >= 0 && tc < 8 && !ChessEngine.isAlly(board[tr][tc], white ? 'w' : 'b')) {
+      targets.push({ fromR: r, fromC: c, toR: tr, toC: tc });
+    }
+  };
+  const slide = (dirs) => dirs.forEach(([dr, dc]) => {
+    for (let i = 1; i < 8; i++) add(r + dr * i, c + dc * i);
+  });
+
+  switch (piece) {
+    case ChessEngine.WP: case ChessEngine.BP: {
+      const dir = white ? -1 : 1;
+      add(r + dir, c);
+      if (r === (white ? 6 : 1)) add(r + 2 * dir, c);
+      add(r + dir, c - 1);
+      add(r + dir, c + 1);
+      break;
+    }
+    case ChessEngine.WN: case ChessEngine.BN:
+      KNIGHT_JUMPS.forEach(([dr, dc]) => add(r + dr, c + dc));
+      break;
+    case ChessEngine.WB: case ChessEngine.BB: slide(DIAGONALS); break;
+    case ChessEngine.WR: case ChessEngine.BR: slide(ORTHOGONALS); break;
+    case ChessEngine.WQ: case ChessEngine.BQ: slide(DIAGONALS.concat(ORTHOGONALS)); break;
+    case ChessEngine.WK: case ChessEngine.BK:
+      DIAGONALS.concat(ORTHOGONALS).forEach(([dr, dc]) => add(r + dr, c + dc));
+      if (r === (white ? 7 : 0) && c === 4) {
+        add(r, 6);
+        add(r, 2);
+      }
+      break;
+  }
+  return targets;
+}
+
+function handlePremoveClick(r, c) {
+  const board = premoveBoard();
+  const piece = board[r][c];
+
+  if (selectedSquare) {
+    const target = legalMovesForSelected.find(m => m.toR === r && m.toC === c);
+    if (target) {
+      queuePremove(target);
+      return;
+    }
+  }
+  if (piece && ChessEngine.isAlly(piece, humanColor)) {
+    selectPremovePiece(r, c, board);
+  } else {
+    deselectPiece();
+  }
+}
+
+function selectPremovePiece(r, c, board = premoveBoard()) {
+  selectedSquare = { r, c };
+  legalMovesForSelected = premoveTargets(board, r, c);
+  renderBoard();
+}
+
+function queuePremove({ fromR, fromC, toR, toC }) {
+  premoves.push({ fromR, fromC, toR, toC });
+  selectedSquare = null;
+  legalMovesForSelected = [];
+  renderBoard();
+}
+
+function clearPremoves() {
+  premoves = [];
+  selectedSquare = null;
+  legalMovesForSelected = [];
+  renderBoard();
+}
+
+// Play the next queued premove now that it is the human's turn
+function playPremove() {
+  const next = premoves.shift();
+  if (!next) return;
+  const move = ChessEngine.getLegalMoves(gameState, next.fromR, next.fromC)
+    .find(m => m.toR === next.toR && m.toC === next.toC);
+  if (!move) {
+    clearPremoves();
+    return;
+  }
+  // Premoved pawns always promote to a queen
+  if (move.promotion) move.promotionPiece = humanColor === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
+  executeMove(move);
+}
+
+// ========== DRAG AND DROP ==========
+// Pointer events cover mouse, pen and touch. A press only turns into a
+// drag once it has moved a few pixels, so plain clicks still reach
+// handleSquareClick.
+const DRAG_THRESHOLD = 5;  // px
+let dragState = null;      // { r, c, pointerId, startX, startY, ghost, over, premove }
+let suppressClick = false; // swallow the click that ends a drag
+
+function canDragPiece(r, c) {
+  if (!gameState || gameState.isGameOver || viewState || pendingPromotion || openingReplayTimer) return false;
+  if (isBotThinking) {
+    const piece = isPremoveTurn() && premoveBoard()[r][c];
+    return Boolean(piece) && ChessEngine.isAlly(piece, humanColor);
+  }
+  const piece = gameState.board[r][c];
+  if (!piece || !ChessEngine.isAlly(piece, gameState.turn)) return false;
+  return gameMode !== 'bot' || gameState.turn === humanColor;
+}
+
+function squareAtPoint(x, y) {
+  const el = document.elementFromPoint(x, y);
+  const sq = el && el.closest('#chess-board .square');
+  return sq ? { r: Number(sq.dataset.row), c: Number(sq.dataset.col), el: sq } : null;
+}
+
+function startDrag() {
+  const { r, c, premove } = dragState;
+  const board = premove ? premoveBoard() : gameState.board;
+  if (premove) selectPremovePiece(r, c, board);
+  else selectPiece(r, c);
+  const ghost = document.createElement('span');
+  ghost.className = 'piece drag-ghost';
+  ghost.textContent = ChessEngine.PIECE_UNICODE[board[r][c]];
+  document.body.appendChild(ghost);
+  dragState.ghost = ghost;
+  squareEls[r][c].classList.add('drag-origin');
+}
+
+function moveDragGhost(x, y) {
+  dragState.ghost.style.left = x + 'px';
+  dragState.ghost.style.top = y + 'px';
+
+  const target = squareAtPoint(x, y);
+  const over = target && legalMovesForSelected.some(m => m.toR === target.r && m.toC === target.c) ? target.el : null;
+  if (over === dragState.over) return;
+  if (dragState.over) dragState.over.classList.remove('drag-over');
+  if (over) over.classList.add('drag-over');
+  dragState.over = over;
+}
+
+function endDrag(x, y) {
+  const { r, c, ghost, premove } = dragState;
+  dragState = null;
+  if (!ghost) return;
+
+  suppressClick = true;
+  setTimeout(() => { suppressClick = false; }, 0);
+
+  const target = squareAtPoint(x, y);
+  const move = target && !gameState.isGameOver &&
+    legalMovesForSelected.find(m => m.toR === target.r && m.toC === target.c);
+  if (move) {
+    ghost.remove();
+    if (premove) {
+      queuePremove(move);
+    } else if (move.promotion) {
+      renderBoard();
+      showPromotionModal(move, false);
+    } else {
+      executeMove(move, false);
+    }
+    return;
+  }
+
+  // Illegal drop: the piece slides back and stays selected
+  const origin = squareEls[r][c];
+  const rect = origin.getBoundingClientRect();
+  ghost.classList.add('snap-back');
+  ghost.style.left = rect.left + rect.width / 2 + 'px';
+  ghost.style.top = rect.top + rect.height / 2 + 'px';
+  setTimeout(() => {
+    ghost.remove();
+    renderBoard();
+  }, 150);
+}
+
+function cancelDrag() {
+  if (dragState && dragState.ghost) {
+    dragState.ghost.remove();
+    renderBoard();
+  }
+  dragState = null;
+}
+
+(function initDragAndDrop() {
+  const boardEl = document.getElementById('chess-board');
+  if (!boardEl) return;
+
+  boardEl.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || dragState) return;
+    const sq = e.target.closest('.square');
+    if (!sq) return;
+    const r = Number(sq.dataset.row), c = Number(sq.dataset.col);
+    if (!canDragPiece(r, c)) return;
+    e.preventDefault(); // no text selection or native image drag
+    dragState = {
+      r, c, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY,
+      ghost: null, over: null, premove: isBotThinking
+    };
+  });
+
+  // The pointer may leave the board mid-drag, so the rest is tracked on the document
+  document.addEventListener('pointermove', (e) => {
+    if (!dragState || e.pointerId !== dragState.pointerId) return;
+    if (!dragState.ghost) {
+      if (Math.hypot(e.clientX - dragState.startX, e.clientY - dragState.startY) < DRAG_THRESHOLD) return;
+      startDrag();
+    }
+    moveDragGhost(e.clientX, e.clientY);
+  });
+  document.addEventListener('pointerup', (e) => {
+    if (dragState && e.pointerId === dragState.pointerId) endDrag(e.clientX, e.clientY);
+  });
+  document.addEventListener('pointercancel', (e) => {
+    if (dragState && e.pointerId === dragState.pointerId) cancelDrag();
+  });
+
+  boardEl.addEventListener('click', (e) => {
+    if (suppressClick) e.stopPropagation();
+  }, true);
+})();
+
 // ========== PROMOTION ==========
-function showPromotionModal(move) {
+function showPromotionModal(move, slide = true) {
   pendingPromotion = move;
   const turn = gameState.turn;
   const pieces = turn === 'w'
@@ -317,7 +1085,7 @@ function showPromotionModal(move) {
     btn.addEventListener('click', () => {
       pendingPromotion.promotionPiece = p;
       closeModal('promotion-modal');
-      executeMove(pendingPromotion);
+      executeMove(pendingPromotion, slide);
       pendingPromotion = null;
     });
     container.appendChild(btn);
@@ -327,24 +1095,23 @@ function showPromotionModal(move) {
 }
 
 // ========== EXECUTE MOVE ==========
-function executeMove(move) {
+// slide is false for a piece that was dropped on its square by hand
+function executeMove(move, slide = true) {
+  chargeMove();
   const result = ChessEngine.makeMove(gameState, move);
 
   lastMove = { fromR: move.fromR, fromC: move.fromC, toR: move.toR, toC: move.toC };
   selectedSquare = null;
   legalMovesForSelected = [];
+  boardMarks = { squares: [], arrows: [] };
 
+  syncAutoFlip();
   renderBoard();
   updateTurnIndicator();
   updateCaptured();
+  updateDrawClaim();
   addMoveToHistory(result.notation);
-
-  // Animate the piece
-  const toSquare = document.querySelector(`.square[data-row="${move.toR}"][data-col="${move.toC}"] .piece`);
-  if (toSquare) {
-    toSquare.classList.add(result.captured ? 'capture-anim' : 'drop-anim');
-    setTimeout(() => toSquare.classList.remove('capture-anim', 'drop-anim'), 250);
-  }
+  animateMove(move, result.captured, slide);
 
   if (result.isGameOver) {
     stopTimer();
@@ -352,47 +1119,164 @@ function executeMove(move) {
     return;
   }
 
-  // Bot's turn
-  if (gameMode === 'bot' && gameState.turn === 'b') {
-    isBotThinking = true;
-    const delay = botDifficulty === 'beginner' ? 300 : botDifficulty === 'medium' ? 500 : 200;
-    if (botDifficulty === 'pro') showToast('🤖 Bot is thinking deeply…');
-    setTimeout(() => {
-      makeBotMove();
-    }, delay);
+  queueBotMove();
+  saveGame();
+}
+
+// Start the bot's search after a short, level-dependent pause when it is
+// the bot's turn
+function queueBotMove() {
+  if (gameMode !== 'bot' || gameState.isGameOver || gameState.turn === humanColor) return;
+  isBotThinking = true;
+  const delay = botDifficulty <= 3 ? 300 : botDifficulty <= 7 ? 500 : 200;
+  updateBotStatus(null);
+  botSearchTimer = setTimeout(startBotSearch, delay);
+}
+
+// ========== BOT SEARCH ==========
+// The search runs in js/bot-worker.js so timers and toasts keep updating.
+// Where workers are unavailable (pages opened from file://) it falls back
+// to searching on the UI thread.
+function getBotWorker() {
+  if (!botWorker && typeof Worker !== 'undefined') {
+    try {
+      botWorker = new Worker('js/bot-worker.js');
+      if (openingBookData) botWorker.postMessage({ type: 'book', data: openingBookData });
+    } catch (err) {
+      botWorker = null;
+    }
+  }
+  return botWorker;
+}
+
+function startBotSearch() {
+  botSearchTimer = null;
+  const id = ++botSearchId;
+  // A stopped search only ends after its current iteration; rather than
+  // wait for it, the next search gets a fresh worker
+  if (botWorker && botWorkerBusy) { botWorker.terminate(); botWorker = null; }
+  const worker = getBotWorker();
+  if (!worker) { runBotSearchInline(id); return; }
+
+  worker.onmessage = (e) => handleBotMessage(e.data);
+  worker.onerror = (e) => {
+    e.preventDefault();
+    worker.terminate();
+    botWorker = null;
+    botWorkerBusy = false;
+    runBotSearchInline(id);
+  };
+  botWorkerBusy = true;
+  worker.postMessage({
+    type: 'start',
+    id,
+    fen: gameState.startFen,
+    moves: gameState.history.map(record => ChessEngine.moveToUCI(record.move)),
+    difficulty: botDifficulty,
+    persona: botPersona,
+    clock: botClock()
+  });
+}
+
+// The move the bot is leaning towards in blue, and the follow-up it has
+// in mind after the expected reply in red
+function showBotArrows(progress) {
+  const arrow = (uci, color) => ({ from: uci.slice(0, 2), to: uci.slice(2, 4), color });
+  const arrows = [];
+  if (progress && progress.pv.length) arrows.push(arrow(progress.pv[0], 'B'));
+  if (progress && progress.pv.length > 2) arrows.push(arrow(progress.pv[2], 'R'));
+  setEngineArrows(arrows);
+}
+
+// The search budgets its time from the bot's own clock; a delay is worth
+// about as much as an increment of the same size
+function botClock() {
+  const { timeControl } = gameClock;
+  if (!timeControl) return null;
+  const botColor = humanColor === 'w' ? 'b' : 'w';
+  return {
+    time: ChessClock.timeLeft(gameClock, botColor, ChessClock.elapsed(gameClock, performance.now())),
+    increment: (timeControl.increment + timeControl.delay) * 1000
+  };
+}
+
+function runBotSearchInline(id) {
+  setTimeout(() => {
+    if (id !== botSearchId) return;
+    makeBotMove(ChessBot.getBotMove(gameState, botDifficulty, { persona: botPersona, clock: botClock() }));
+  }, 0);
+}
+
+function handleBotMessage(msg) {
+  if (msg.type !== 'progress') botWorkerBusy = false;
+  if (msg.id !== botSearchId) return;
+  if (msg.type === 'progress') {
+    updateBotStatus(msg);
+  } else if (msg.type === 'result') {
+    makeBotMove(msg.move ? ChessEngine.moveFromUCI(gameState, msg.move) : null);
+  } else if (msg.type === 'error') {
+    runBotSearchInline(msg.id);
   }
 }
 
-// ========== BOT MOVE ==========
-function makeBotMove() {
-  if (gameState.isGameOver) { isBotThinking = false; return; }
+// Cancel a pending or running search. The worker reads the stop after its
+// current iteration and keeps its hash table for the next search; the
+// result it still sends is for an old id and is ignored.
+function stopBotSearch() {
+  if (!isBotThinking) return;
+  if (botWorker && botWorkerBusy) botWorker.postMessage({ type: 'stop', id: botSearchId });
+  botSearchId++;
+  if (botSearchTimer) { clearTimeout(botSearchTimer); botSearchTimer = null; }
+  isBotThinking = false;
+  updateBotStatus(null);
+}
+
+function formatEval(score) {
+  if (Math.abs(score) > 90000) return score > 0 ? '+M' : '-M';
+  return (score >= 0 ? '+' : '') + (score / 100).toFixed(2);
+}
 
-  const move = ChessBot.getBotMove(gameState, botDifficulty);
-  if (!move) { isBotThinking = false; return; }
+// progress is { depth, pvSan, eval, nodes } from the search, or null
+function updateBotStatus(progress) {
+  const el = document.getElementById('bot-status');
+  showBotArrows(isBotThinking ? progress : null);
+  if (!isBotThinking) { el.textContent = ''; return; }
+  if (!progress) { el.textContent = '🤖 Thinking…'; return; }
+  const line = progress.pvSan.slice(0, 6).join(' ') + (progress.pvSan.length > 6 ? ' …' : '');
+  el.textContent = `🤖 Thinking… depth ${progress.depth} · ${formatEval(progress.eval)} · ${line} · ${progress.nodes.toLocaleString()} nodes`;
+}
+
+// ========== BOT MOVE ==========
+function makeBotMove(move) {
+  if (gameState.isGameOver || !move) { isBotThinking = false; updateBotStatus(null); return; }
 
+  chargeMove();
   const result = ChessEngine.makeMove(gameState, move);
 
   lastMove = { fromR: move.fromR, fromC: move.fromC, toR: move.toR, toC: move.toC };
   selectedSquare = null;
   legalMovesForSelected = [];
+  boardMarks = { squares: [], arrows: [] };
 
   renderBoard();
   updateTurnIndicator();
   updateCaptured();
   addMoveToHistory(result.notation);
-
-  const toSquare = document.querySelector(`.square[data-row="${move.toR}"][data-col="${move.toC}"] .piece`);
-  if (toSquare) {
-    toSquare.classList.add(result.captured ? 'capture-anim' : 'drop-anim');
-    setTimeout(() => toSquare.classList.remove('capture-anim', 'drop-anim'), 250);
-  }
+  animateMove(move, result.captured);
 
   isBotThinking = false;
+  updateBotStatus(null);
+  updateDrawClaim();
 
   if (result.isGameOver) {
     stopTimer();
+    premoves = [];
     showGameOverModal(result.result);
+    return;
   }
+
+  saveGame();
+  playPremove();
 }
 
 // ========== TURN INDICATOR ==========
@@ -403,6 +1287,23 @@ function updateTurnIndicator() {
   blackInfo.classList.toggle('active-turn', gameState.turn === 'b');
 }
 
+// ========== DRAW CLAIMS ==========
+// Threefold repetition and the 50-move rule are claimed by the side to move
+function updateDrawClaim() {
+  const btn = document.getElementById('claim-draw-btn');
+  const humanToMove = gameMode !== 'bot' || gameState.turn === humanColor;
+  const claimable = humanToMove && !isBotThinking && ChessEngine.getClaimableDraw(gameState);
+  btn.classList.toggle('hidden', !claimable);
+}
+
+function claimDraw() {
+  if (!gameState || isBotThinking) return;
+  if (!ChessEngine.claimDraw(gameState)) { showToast('No draw can be claimed right now.'); return; }
+  stopTimer();
+  updateDrawClaim();
+  showGameOverModal('draw');
+}
+
 // ========== CAPTURED PIECES ==========
 function updateCaptured() {
   // Black captured = pieces taken from white (shown near black player)
@@ -425,6 +1326,22 @@ function clearMoveHistory() {
   document.getElementById('moves-list').innerHTML = '';
 }
 
+// SAN of the move at `ply`, with the time it took
+function moveNotationElement(ply) {
+  const el = document.createElement('span');
+  el.className = 'move-notation';
+  el.dataset.ply = ply;
+  el.textContent = gameState.moveList[ply];
+  el.addEventListener('click', () => viewHistory(ply + 1));
+  if (moveTimes[ply]) {
+    const time = document.createElement('small');
+    time.className = 'move-time';
+    time.textContent = ChessClock.formatMoveTime(moveTimes[ply].spent);
+    el.appendChild(time);
+  }
+  return el;
+}
+
 function addMoveToHistory(notation) {
   const list = document.getElementById('moves-list');
   const moveCount = gameState.moveList.length;
@@ -437,22 +1354,14 @@ function addMoveToHistory(notation) {
     const num = document.createElement('span');
     num.className = 'move-number';
     num.textContent = Math.ceil(moveCount / 2) + '.';
-    const white = document.createElement('span');
-    white.className = 'move-notation';
-    white.textContent = notation;
     entry.appendChild(num);
-    entry.appendChild(white);
+    entry.appendChild(moveNotationElement(moveCount - 1));
     list.appendChild(entry);
   } else {
     // Add black move to last entry
     const entries = list.querySelectorAll('.move-entry');
     const lastEntry = entries[entries.length - 1];
-    if (lastEntry) {
-      const black = document.createElement('span');
-      black.className = 'move-notation';
-      black.textContent = notation;
-      lastEntry.appendChild(black);
-    }
+    if (lastEntry) lastEntry.appendChild(moveNotationElement(moveCount - 1));
   }
 
   // Scroll to bottom
@@ -460,95 +1369,250 @@ function addMoveToHistory(notation) {
   historyEl.scrollTop = historyEl.scrollHeight;
 }
 
+// ========== HISTORY NAVIGATION ==========
+// Clicking a move, the buttons under Move History or ←/→ (Home/End for
+// the ends) show an earlier position. The board is read-only meanwhile;
+// the live game carries on underneath and "Back to live" returns to it.
+let viewPly = null;        // plies played in the browsed position, null when live
+let viewState = null;      // the game replayed up to viewPly
+
+// Plies played in the position on the board
+function shownPly() {
+  return viewPly === null ? gameState.history.length : viewPly;
+}
+
+function viewedMove() {
+  const last = viewState.history[viewState.history.length - 1];
+  return last ? last.move : null;
+}
+
+// The game as it stood after `ply` moves
+function positionAt(ply) {
+  const state = gameState.startFen ? ChessEngine.fromFEN(gameState.startFen) : ChessEngine.createGameState();
+  for (let i = 0; i < ply; i++) ChessEngine.doMove(state, gameState.history[i].move);
+  return state;
+}
+
+// Show the position after `ply` moves; the last one is the live board
+function viewHistory(ply) {
+  if (!gameState) return;
+  const total = gameState.history.length;
+  ply = Math.max(0, Math.min(total, ply));
+  if (ply === shownPly()) return;
+  viewPly = ply === total ? null : ply;
+  viewState = viewPly === null ? null : positionAt(viewPly);
+  selectedSquare = null;
+  legalMovesForSelected = [];
+  renderBoard();
+  const current = document.querySelector('#moves-list .move-notation.current');
+  if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+function historyStep(delta) {
+  if (gameState) viewHistory(shownPly() + delta);
+}
+
+// Drop the browsed position without redrawing, for code that changes the game
+function resetHistoryView() {
+  viewPly = null;
+  viewState = null;
+}
+
+function updateHistoryNav() {
+  if (!gameState) return;
+  const ply = shownPly();
+  document.querySelectorAll('#moves-list .move-notation').forEach(el => {
+    el.classList.toggle('current', viewPly !== null && Number(el.dataset.ply) === ply - 1);
+  });
+  document.getElementById('history-first').disabled = ply === 0;
+  document.getElementById('history-prev').disabled = ply === 0;
+  document.getElementById('history-next').disabled = viewPly === null;
+  document.getElementById('history-last').disabled = viewPly === null;
+  document.getElementById('history-live').classList.toggle('hidden', viewPly === null || gameState.isGameOver);
+  document.getElementById('chess-board').classList.toggle('viewing-history', viewPly !== null);
+}
+
+const HISTORY_KEYS = {
+  ArrowLeft: () => historyStep(-1),
+  ArrowRight: () => historyStep(1),
+  Home: () => viewHistory(0),
+  End: () => viewHistory(Infinity)
+};
+
+document.addEventListener('keydown', (e) => {
+  const action = HISTORY_KEYS[e.key];
+  if (!action || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+  const target = e.target;
+  if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+  if (!gameState || !document.getElementById('page-play').classList.contains('page-active') ||
+      document.getElementById('game-container').classList.contains('hidden')) return;
+  e.preventDefault();
+  action();
+});
+
 // ========== TIMER ==========
+// Turns are timed from timestamps by ChessClock, the bot's included; the
+// interval only refreshes the display (every 100 ms, for the tenths) and
+// checks for a flag, so a throttled background tab loses no time.
+const TIMER_TICK = 100;    // ms
+const LOW_TIME = 20000;    // ms; below this a clock turns red
+
 function startTimer() {
   stopTimer();
-  timerInterval = setInterval(() => {
-    if (gameState.isGameOver || isBotThinking) return;
-
-    if (gameState.turn === 'w') {
-      whiteTime--;
-      if (whiteTime <= 0) {
-        whiteTime = 0;
-        stopTimer();
-        gameState.isGameOver = true;
-        gameState.result = 'black';
-        showGameOverModal('black');
-      }
-    } else {
-      blackTime--;
-      if (blackTime <= 0) {
-        blackTime = 0;
-        stopTimer();
-        gameState.isGameOver = true;
-        gameState.result = 'white';
-        showGameOverModal('white');
-      }
-    }
-
-    updateTimerDisplay();
-  }, 1000);
+  ChessClock.resumeClock(gameClock, performance.now());
+  updateTimerDisplay();
+  if (gameClock.timeControl) timerInterval = setInterval(tickTimer, TIMER_TICK);
 }
 
 function stopTimer() {
   if (timerInterval) { clearInterval(timerInterval); timerInterval = null; }
+  if (gameClock) ChessClock.pauseClock(gameClock, performance.now());
 }
 
-function updateTimerDisplay() {
-  document.getElementById('white-timer').textContent = formatTime(whiteTime);
-  document.getElementById('black-timer').textContent = formatTime(blackTime);
+function tickTimer() {
+  if (gameState.isGameOver) return;
+  const side = gameState.turn;
+  if (ChessClock.isFlagged(gameClock, side, ChessClock.elapsed(gameClock, performance.now()))) {
+    stopTimer();
+    stopBotSearch();
+    const winner = side === 'w' ? 'black' : 'white';
+    ChessEngine.endGame(gameState, winner, TERMINATIONS.TIMEOUT);
+    updateTimerDisplay();
+    showGameOverModal(winner);
+    return;
+  }
+  updateTimerDisplay();
+}
+
+// Catch up as soon as a hidden tab is shown again
+document.addEventListener('visibilitychange', () => {
+  if (!document.hidden && timerInterval) tickTimer();
+});
+
+// Stop the mover's clock and start the opponent's, just before the move
+// is made, and note how long the move took
+function chargeMove() {
+  const color = gameState.turn;
+  const spent = ChessClock.pressClock(gameClock, color, performance.now());
+  moveTimes[gameState.history.length] = { color, spent, clock: gameClock.remaining[color] };
 }
 
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = seconds % 60;
-  return `${m}:${s.toString().padStart(2, '0')}`;
+// After an undo each side is back to the time it had after its last
+// move still on the board
+function restoreClocks() {
+  const { timeControl } = gameClock;
+  for (const color of ['w', 'b']) {
+    const last = moveTimes.filter(t => t && t.color === color).pop();
+    gameClock.remaining[color] = last ? last.clock
+      : timeControl ? ChessClock.startingTime(timeControl, color) * 1000 : Infinity;
+  }
+}
+
+function updateTimerDisplay() {
+  for (const color of ['w', 'b']) {
+    const el = document.getElementById(color === 'w' ? 'white-timer' : 'black-timer');
+    const elapsed = color === gameState.turn ? ChessClock.elapsed(gameClock, performance.now()) : 0;
+    const left = ChessClock.timeLeft(gameClock, color, elapsed);
+    const low = left < LOW_TIME;
+    el.textContent = ChessClock.formatClock(left);
+    el.classList.toggle('hidden', !gameClock.timeControl);
+    el.classList.toggle('low-time', low);
+    if (low && !lowTimeWarned[color] && !gameState.isGameOver && (gameMode !== 'bot' || color === humanColor)) {
+      lowTimeWarned[color] = true;
+      showToast(gameMode === 'bot' ? '⏳ You are low on time!' : `⏳ ${color === 'w' ? 'White' : 'Black'} is low on time!`);
+    }
+  }
 }
 
 // ========== GAME OVER MODAL ==========
+const { TERMINATIONS } = ChessEngine;
+
+const WIN_PHRASES = {
+  [TERMINATIONS.CHECKMATE]: 'by checkmate',
+  [TERMINATIONS.RESIGNATION]: 'by resignation',
+  [TERMINATIONS.TIMEOUT]: 'on time',
+  [TERMINATIONS.ABANDONMENT]: 'by abandonment'
+};
+
+function drawMessage(state) {
+  switch (state.termination) {
+    case TERMINATIONS.STALEMATE: return 'Draw by stalemate.';
+    case TERMINATIONS.INSUFFICIENT_MATERIAL: return 'Draw by insufficient material.';
+    case TERMINATIONS.AGREEMENT: return 'Draw by agreement.';
+    case TERMINATIONS.THREEFOLD_REPETITION: return 'Draw claimed by threefold repetition.';
+    case TERMINATIONS.FIVEFOLD_REPETITION: return 'Draw by fivefold repetition.';
+    case TERMINATIONS.FIFTY_MOVE: return 'Draw claimed under the 50-move rule.';
+    case TERMINATIONS.SEVENTY_FIVE_MOVE: return 'Draw by the 75-move rule.';
+    default: return 'The game ended in a draw.';
+  }
+}
+
 function showGameOverModal(result) {
   const icon = document.getElementById('gameover-icon');
   const title = document.getElementById('gameover-title');
   const msg = document.getElementById('gameover-msg');
-
-  if (result === 'white') {
-    icon.textContent = '🏆';
-    title.textContent = 'White Wins!';
-    msg.textContent = gameMode === 'bot' ? 'Congratulations! You defeated the bot.' : 'White wins by checkmate!';
-  } else if (result === 'black') {
-    icon.textContent = gameMode === 'bot' ? '😔' : '🏆';
-    title.textContent = 'Black Wins!';
-    msg.textContent = gameMode === 'bot' ? 'The bot wins this time. Try again!' : 'Black wins by checkmate!';
+  const phrase = WIN_PHRASES[gameState.termination] || '';
+
+  if (result === 'white' || result === 'black') {
+    const winner = result === 'white' ? 'White' : 'Black';
+    const humanWon = result[0] === humanColor;
+    icon.textContent = gameMode === 'bot' && !humanWon ? '😔' : '🏆';
+    title.textContent = `${winner} Wins!`;
+    if (gameMode !== 'bot') msg.textContent = `${winner} wins ${phrase}!`;
+    else if (humanWon) msg.textContent = `Congratulations! You defeated the bot ${phrase}.`;
+    else msg.textContent = `The bot wins ${phrase} this time. Try again!`;
   } else {
     icon.textContent = '🤝';
     title.textContent = 'Draw!';
-    msg.textContent = 'The game ended in a draw.';
+    msg.textContent = drawMessage(gameState);
   }
 
   openModal('gameover-modal');
+  saveGame();
+  archiveGame();
 }
 
 // ========== GAME CONTROLS ==========
 function undoMove() {
-  if (!gameState || gameState.history.length === 0) { showToast('No moves to undo.'); return; }
-  if (isBotThinking) return;
-
-  // In bot mode, undo two moves (player + bot)
-  if (gameMode === 'bot' && gameState.history.length >= 2) {
+  if (!gameState) return;
+  // When the bot opened the game, its first move alone is not undone
+  const humanToMove = gameMode === 'bot' && gameState.turn === humanColor;
+  if (gameState.history.length < (humanToMove ? 2 : 1)) { showToast('No moves to undo.'); return; }
+  stopBotSearch();
+  stopOpeningReplay();
+  resetHistoryView();
+  // The game's end stopped the timer; taking a move back resumes play
+  const wasOver = gameState.isGameOver;
+
+  // In bot mode, undo two moves (player + bot) unless the bot has not replied yet
+  if (humanToMove) {
     ChessEngine.undoMove(gameState);
     ChessEngine.undoMove(gameState);
   } else {
     ChessEngine.undoMove(gameState);
   }
 
+  premoves = [];
+  moveTimes.length = gameState.history.length;
+  restoreClocks();
+  ChessClock.startTurn(gameClock, performance.now());
+  if (wasOver) startTimer();
   selectedSquare = null;
   legalMovesForSelected = [];
   lastMove = null;
+  // Marks saved with the move now on top come back with it
+  moveMarks.length = gameState.history.length;
+  const saved = moveMarks[gameState.history.length - 1];
+  boardMarks = saved ? { squares: saved.squares.slice(), arrows: saved.arrows.slice() } : { squares: [], arrows: [] };
 
+  syncAutoFlip();
   renderBoard();
   updateTurnIndicator();
   updateCaptured();
+  updateDrawClaim();
   rebuildMoveHistory();
+  updateTimerDisplay();
+  saveGame();
   showToast('Move undone.');
 }
 
@@ -568,54 +1632,96 @@ function rebuildMoveHistory() {
     const num = document.createElement('span');
     num.className = 'move-number';
     num.textContent = (Math.floor(i / 2) + 1) + '.';
-    const white = document.createElement('span');
-    white.className = 'move-notation';
-    white.textContent = list[i];
     entry.appendChild(num);
-    entry.appendChild(white);
-    if (list[i + 1]) {
-      const black = document.createElement('span');
-      black.className = 'move-notation';
-      black.textContent = list[i + 1];
-      entry.appendChild(black);
-    }
+    entry.appendChild(moveNotationElement(i));
+    if (list[i + 1]) entry.appendChild(moveNotationElement(i + 1));
     movesListEl.appendChild(entry);
   }
+  updateHistoryNav();
 }
 
 function resetGame() {
   if (!gameState) return;
   stopTimer();
+  stopBotSearch();
+  stopOpeningReplay();
 
   gameState = ChessEngine.createGameState();
   selectedSquare = null;
   legalMovesForSelected = [];
   lastMove = null;
-  whiteTime = 600;
-  blackTime = 600;
+  gameClock = ChessClock.createClock(gameClock.timeControl);
+  moveTimes = [];
+  lowTimeWarned = { w: false, b: false };
   isBotThinking = false;
   pendingPromotion = null;
-
+  premoves = [];
+  boardMarks = { squares: [], arrows: [] };
+  moveMarks = [];
+  gameArchiveId = null;
+  resetHistoryView();
+  gameStartedAt = new Date();
+
+  syncAutoFlip();
   renderBoard();
   updateTurnIndicator();
   updateCaptured();
+  updateDrawClaim();
   clearMoveHistory();
-  updateTimerDisplay();
   startTimer();
+  queueBotMove();
+  saveGame();
   showToast('New game started!');
 }
 
 function resignGame() {
   if (!gameState || gameState.isGameOver) return;
   stopTimer();
-  gameState.isGameOver = true;
-  const winner = gameState.turn === 'w' ? 'black' : 'white';
-  gameState.result = winner;
+  stopBotSearch();
+  // Against the bot it is always the human resigning
+  const loser = gameMode === 'bot' ? humanColor : gameState.turn;
+  const winner = loser === 'w' ? 'black' : 'white';
+  ChessEngine.endGame(gameState, winner, TERMINATIONS.RESIGNATION);
   showGameOverModal(winner);
 }
 
+function offerDraw() {
+  if (!gameState || gameState.isGameOver || isBotThinking) return;
+
+  if (gameMode === 'bot') {
+    // The bot accepts when it does not think it is better (eval is from White's view)
+    const botView = humanColor === 'w' ? -ChessBot.evaluate(gameState) : ChessBot.evaluate(gameState);
+    if (botView <= 0) {
+      acceptDraw();
+    } else {
+      showToast('🤖 The bot declines your draw offer.');
+    }
+    return;
+  }
+
+  const offerer = gameState.turn === 'w' ? 'White' : 'Black';
+  document.getElementById('draw-offer-msg').textContent = `${offerer} offers a draw. Does the opponent accept?`;
+  openModal('draw-offer-modal');
+}
+
+function acceptDraw() {
+  closeModal('draw-offer-modal');
+  stopTimer();
+  ChessEngine.endGame(gameState, 'draw', TERMINATIONS.AGREEMENT);
+  updateDrawClaim();
+  showGameOverModal('draw');
+}
+
+function declineDraw() {
+  closeModal('draw-offer-modal');
+  showToast('Draw offer declined.');
+}
+
 function backToSetup() {
   stopTimer();
+  stopBotSearch();
+  stopOpeningReplay();
+  saveGame();
   closeModal('gameover-modal');
   document.getElementById('game-container').classList.add('hidden');
   document.getElementById('game-setup').classList.remove('hidden');
@@ -627,25 +1733,481 @@ function backToSetup() {
   document.getElementById('setup-actions').classList.add('hidden');
   gameMode = null;
   botDifficulty = null;
+  updateResumeBanner();
+}
+
+// ========== PGN EXPORT ==========
+function getGamePGN() {
+  return ChessPGN.exportPGN(gameState, {
+    date: gameStartedAt,
+    headers: {
+      Event: gameMode === 'bot' ? 'Casual Game vs Bot' : 'Casual Game',
+      White: document.getElementById('white-name').textContent,
+      Black: document.getElementById('black-name').textContent,
+      TimeControl: ChessClock.pgnTimeControl(gameClock.timeControl)
+    },
+    // Clock times and board markup ride along in each move's comment
+    comments: gameState.moveList.map((san, ply) => [
+      moveTimes[ply] && gameClock.timeControl ? ChessClock.pgnClock(moveTimes[ply].clock) : '',
+      moveMarks[ply] ? ChessPGN.formatMarks(moveMarks[ply]) : ''
+    ].filter(Boolean).join(' '))
+  });
+}
+
+function copyPGN() {
+  if (!gameState) return;
+  navigator.clipboard.writeText(getGamePGN())
+    .then(() => showToast('PGN copied to clipboard.'))
+    .catch(() => showToast('Could not copy PGN.'));
+}
+
+function downloadPGN() {
+  if (!gameState) return;
+  const blob = new Blob([getGamePGN()], { type: 'application/x-chess-pgn' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  const stamp = (gameStartedAt || new Date()).toISOString().slice(0, 10);
+  link.href = url;
+  link.download = `chessmaster-${stamp}.pgn`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ========== SAVED GAME ==========
+// The game in progress is kept in localStorage after every move so a
+// reload can pick it up again. Saves carry a version; older ones are
+// brought up to date by SAVE_MIGRATIONS before they are read.
+const SAVE_KEY = 'chess-saved-game';
+const SAVE_VERSION = 1;
+// version -> function turning a save of that version into the next one
+const SAVE_MIGRATIONS = {};
+
+// JSON has no Infinity, which an untimed clock uses
+const clockToJSON = ms => ms === Infinity ? null : ms;
+const clockFromJSON = ms => ms === null ? Infinity : ms;
+
+function saveGame() {
+  if (!gameState || !gameMode) return;
+  try {
+    if (gameState.isGameOver) {
+      localStorage.removeItem(SAVE_KEY);
+      return;
+    }
+    const now = performance.now();
+    localStorage.setItem(SAVE_KEY, JSON.stringify({
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      startedAt: gameStartedAt.getTime(),
+      fen: gameState.startFen,
+      moves: gameState.history.map(record => ChessEngine.moveToUCI(record.move)),
+      mode: gameMode,
+      botDifficulty,
+      botPersona,
+      humanColor,
+      boardFlipped,
+      timeControl: gameClock.timeControl,
+      clock: {
+        w: clockToJSON(gameClock.remaining.w),
+        b: clockToJSON(gameClock.remaining.b),
+        elapsed: ChessClock.elapsed(gameClock, now)
+      },
+      moveTimes: moveTimes.map(t => t && { ...t, clock: clockToJSON(t.clock) }),
+      moveMarks
+    }));
+  } catch (err) {
+    // Storage full or blocked: the game goes on unsaved
+  }
+}
+
+// The saved game brought up to the current version, or null
+function loadSavedGame() {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(SAVE_KEY));
+  } catch (err) {
+    return null;
+  }
+  if (!data || typeof data.version !== 'number') return null;
+  while (data.version < SAVE_VERSION && SAVE_MIGRATIONS[data.version]) {
+    data = SAVE_MIGRATIONS[data.version](data);
+  }
+  return data.version === SAVE_VERSION ? data : null;
+}
+
+function discardSavedGame() {
+  localStorage.removeItem(SAVE_KEY);
+  updateResumeBanner();
 }
 
+function updateResumeBanner() {
+  const banner = document.getElementById('resume-banner');
+  if (!banner) return;
+  const data = loadSavedGame();
+  banner.classList.toggle('hidden', !data);
+  if (!data) return;
+  const opponent = data.mode === 'bot'
+    ? `vs ${ChessBot.getLevel(data.botDifficulty).name} Bot`
+    : 'Player vs Player';
+  const moves = Math.ceil(data.moves.length / 2);
+  document.getElementById('resume-detail').textContent =
+    `${opponent} · ${moves} move${moves === 1 ? '' : 's'} · ${ChessClock.describeTimeControl(data.timeControl)}`;
+}
+
+function resumeGame() {
+  const data = loadSavedGame();
+  if (!data) { updateResumeBanner(); return; }
+
+  let state;
+  try {
+    state = data.fen ? ChessEngine.fromFEN(data.fen) : ChessEngine.createGameState();
+    for (const uci of data.moves) ChessEngine.makeMove(state, ChessEngine.moveFromUCI(state, uci));
+  } catch (err) {
+    showToast('The saved game could not be restored.');
+    discardSavedGame();
+    return;
+  }
+
+  stopTimer();
+  stopBotSearch();
+  stopOpeningReplay();
+  gameState = state;
+  gameMode = data.mode;
+  botDifficulty = data.botDifficulty;
+  botPersona = data.botPersona;
+  humanColor = data.humanColor;
+  boardFlipped = data.boardFlipped;
+  gameStartedAt = new Date(data.startedAt);
+  gameArchiveId = null;
+  resetHistoryView();
+  selectedSquare = null;
+  legalMovesForSelected = [];
+  const last = state.history[state.history.length - 1];
+  lastMove = last ? { fromR: last.move.fromR, fromC: last.move.fromC, toR: last.move.toR, toC: last.move.toC } : null;
+  isBotThinking = false;
+  pendingPromotion = null;
+  premoves = [];
+  moveMarks = data.moveMarks || [];
+  const saved = moveMarks[state.history.length - 1];
+  boardMarks = saved ? { squares: saved.squares.slice(), arrows: saved.arrows.slice() } : { squares: [], arrows: [] };
+  moveTimes = data.moveTimes.map(t => t && { ...t, clock: clockFromJSON(t.clock) });
+  lowTimeWarned = { w: false, b: false };
+
+  // The time the side to move had used before the page closed still counts
+  gameClock = ChessClock.createClock(data.timeControl);
+  gameClock.remaining = { w: clockFromJSON(data.clock.w), b: clockFromJSON(data.clock.b) };
+  gameClock.pausedElapsed = data.clock.elapsed;
+
+  enterGame();
+  showToast('Game resumed.');
+}
+
+// A closing tab keeps the clock of the turn in progress
+window.addEventListener('pagehide', () => {
+  if (!document.getElementById('game-container').classList.contains('hidden')) saveGame();
+});
+
+updateResumeBanner();
+
+// ========== GAME ARCHIVE ==========
+// Finished games go to ChessArchive (IndexedDB). The archive page lists
+// them with filters and replays any of them; the Challenge page's recent
+// matches are the newest few.
+let gameArchiveId = null;  // archive id of the current game once archived
+let archivedGames = [];    // the archive, newest first, as last loaded
+let replay = null;         // { game, boards, moves, flipped, ply } in the replay viewer
+
+const RECENT_MATCHES = 4;
+const OUTCOME_LETTERS = { win: 'W', loss: 'L', draw: 'D' };
+const TERMINATION_NAMES = {
+  [TERMINATIONS.CHECKMATE]: 'Checkmate',
+  [TERMINATIONS.RESIGNATION]: 'Resignation',
+  [TERMINATIONS.TIMEOUT]: 'Time forfeit',
+  [TERMINATIONS.STALEMATE]: 'Stalemate',
+  [TERMINATIONS.INSUFFICIENT_MATERIAL]: 'Insufficient material',
+  [TERMINATIONS.THREEFOLD_REPETITION]: 'Threefold repetition (claimed)',
+  [TERMINATIONS.FIVEFOLD_REPETITION]: 'Fivefold repetition',
+  [TERMINATIONS.FIFTY_MOVE]: '50-move rule (claimed)',
+  [TERMINATIONS.SEVENTY_FIVE_MOVE]: '75-move rule',
+  [TERMINATIONS.AGREEMENT]: 'Agreement',
+  [TERMINATIONS.ABANDONMENT]: 'Abandonment'
+};
+
+// Store the finished game. A game undone and finished again replaces
+// its earlier record.
+function archiveGame() {
+  if (!gameState || !gameState.isGameOver) return;
+  const result = gameState.result;
+  const record = {
+    date: Date.now(),
+    mode: gameMode,
+    opponent: gameMode === 'bot' ? botDisplayName() : 'Player 2',
+    difficulty: gameMode === 'bot' ? botDifficulty : null,
+    persona: gameMode === 'bot' ? botPersona : null,
+    humanColor,
+    timeControl: ChessClock.describeTimeControl(gameClock.timeControl),
+    result: ChessPGN.resultToken(gameState),
+    // From the human's side against the bot, from White's in PvP
+    outcome: result === 'draw' ? 'draw' : result[0] === humanColor ? 'win' : 'loss',
+    termination: gameState.termination,
+    opening: (!gameState.startFen && ChessBook.identifyOpening(gameState.moveList)) || 'Other',
+    moves: Math.ceil(gameState.moveList.length / 2),
+    pgn: getGamePGN()
+  };
+  if (gameArchiveId !== null) record.id = gameArchiveId;
+  // A new game may have started by the time the save completes; its id
+  // must not go to that game
+  const archivedState = gameState;
+  ChessArchive.saveGame(record)
+    .then(id => {
+      if (gameState === archivedState) gameArchiveId = id;
+      loadArchive();
+    })
+    .catch(() => showToast('This game could not be saved to the archive.'));
+}
+
+function loadArchive() {
+  return ChessArchive.listGames()
+    .then(games => { archivedGames = games; })
+    .catch(() => { archivedGames = []; })
+    .then(() => {
+      updateOpeningFilter();
+      renderArchive();
+      renderRecentMatches();
+    });
+}
+
+function matchRow(game, detail) {
+  const row = document.createElement('div');
+  row.className = `match-row ${game.outcome}`;
+  row.innerHTML =
+    `<span class="match-result">${OUTCOME_LETTERS[game.outcome]}</span>` +
+    `<span class="match-opponent">vs ${escapeHtml(game.opponent)}</span>` +
+    `<span class="match-detail">${escapeHtml(detail)}</span>`;
+  row.addEventListener('click', () => openArchivedGame(game.id));
+  return row;
+}
+
+function renderRecentMatches() {
+  const list = document.getElementById('recent-matches');
+  if (!list) return;
+  list.innerHTML = '';
+  archivedGames.slice(0, RECENT_MATCHES).forEach(game => {
+    list.appendChild(matchRow(game, `${game.timeControl} • ${game.moves} moves`));
+  });
+  if (archivedGames.length === 0) {
+    list.innerHTML = '<p class="archive-empty">Finished games will show up here.</p>';
+  }
+}
+
+// The opening filter offers the openings found in the archive
+function updateOpeningFilter() {
+  const select = document.getElementById('archive-opening');
+  if (!select) return;
+  const current = select.value;
+  const openings = [...new Set(archivedGames.map(g => g.opening))].sort();
+  select.innerHTML = '<option value="">All openings</option>' +
+    openings.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  select.value = openings.includes(current) ? current : '';
+}
+
+function renderArchive() {
+  const list = document.getElementById('archive-list');
+  if (!list) return;
+  const outcome = document.getElementById('archive-result').value;
+  const opponent = document.getElementById('archive-opponent').value.trim().toLowerCase();
+  const opening = document.getElementById('archive-opening').value;
+  const games = archivedGames.filter(g =>
+    (!outcome || g.outcome === outcome) &&
+    (!opponent || g.opponent.toLowerCase().includes(opponent)) &&
+    (!opening || g.opening === opening));
+
+  list.innerHTML = '';
+  games.forEach(game => {
+    const date = new Date(game.date).toLocaleDateString();
+    const row = matchRow(game, `${game.opening} • ${game.timeControl} • ${game.moves} moves • ${date}`);
+    if (replay && replay.game.id === game.id) row.classList.add('active');
+    list.appendChild(row);
+  });
+  document.getElementById('archive-count').textContent =
+    `${games.length} of ${archivedGames.length} game${archivedGames.length === 1 ? '' : 's'}`;
+  if (games.length === 0) {
+    list.innerHTML = `<p class="archive-empty">${archivedGames.length ? 'No games match these filters.' : 'No finished games yet.'}</p>`;
+  }
+}
+
+function openArchivedGame(id) {
+  showPage('archive');
+  const game = archivedGames.find(g => g.id === id);
+  if (game) showReplay(game);
+}
+
+// ========== REPLAY VIEWER ==========
+
+function showReplay(game) {
+  let parsed;
+  try {
+    parsed = ChessPGN.parsePGN(game.pgn)[0];
+  } catch (err) {
+    showToast('This game could not be read.');
+    return;
+  }
+  // Every position of the game, from the start to after the last move
+  const state = parsed.headers.FEN ? ChessEngine.fromFEN(parsed.headers.FEN) : ChessEngine.createGameState();
+  const boards = [ChessEngine.cloneBoard(state.board)];
+  for (const node of parsed.moves) {
+    ChessEngine.makeMove(state, node.move);
+    boards.push(ChessEngine.cloneBoard(state.board));
+  }
+  replay = { game, boards, moves: parsed.moves, flipped: game.humanColor === 'b', ply: parsed.moves.length };
+
+  document.getElementById('replay-viewer').classList.remove('hidden');
+  document.getElementById('replay-title').textContent = `vs ${game.opponent}`;
+  document.getElementById('replay-detail').textContent =
+    `${game.result} · ${TERMINATION_NAMES[game.termination] || 'Unfinished'} · ${game.opening} · ` +
+    `${game.timeControl} · ${new Date(game.date).toLocaleString()}`;
+
+  const movesEl = document.getElementById('replay-moves');
+  movesEl.innerHTML = '';
+  parsed.moves.forEach((node, i) => {
+    if (i % 2 === 0) {
+      const num = document.createElement('span');
+      num.className = 'move-number';
+      num.textContent = `${i / 2 + 1}.`;
+      movesEl.appendChild(num);
+    }
+    const san = document.createElement('span');
+    san.className = 'move-notation';
+    san.textContent = node.san;
+    san.addEventListener('click', () => replayGoTo(i + 1));
+    movesEl.appendChild(san);
+  });
+  renderArchive();
+  renderReplay();
+}
+
+function closeReplay() {
+  replay = null;
+  document.getElementById('replay-viewer').classList.add('hidden');
+  renderArchive();
+}
+
+// ply 0 is the starting position
+function replayGoTo(ply) {
+  if (!replay) return;
+  replay.ply = Math.max(0, Math.min(replay.moves.length, ply));
+  renderReplay();
+}
+
+function replayStep(delta) {
+  if (replay) replayGoTo(replay.ply + delta);
+}
+
+function replayFlip() {
+  if (!replay) return;
+  replay.flipped = !replay.flipped;
+  renderReplay();
+}
+
+function renderReplay() {
+  const boardEl = document.getElementById('replay-board');
+  const board = replay.boards[replay.ply];
+  const last = replay.ply > 0 ? replay.moves[replay.ply - 1].move : null;
+  boardEl.innerHTML = '';
+  for (let i = 0; i < 8; i++) {
+    for (let j = 0; j < 8; j++) {
+      const r = replay.flipped ? 7 - i : i, c = replay.flipped ? 7 - j : j;
+      const sq = document.createElement('div');
+      sq.className = `square ${(r + c) % 2 === 0 ? 'square-light' : 'square-dark'}`;
+      if (last && ((r === last.fromR && c === last.fromC) || (r === last.toR && c === last.toC))) {
+        sq.classList.add('last-move');
+      }
+      if (board[r][c]) {
+        const piece = document.createElement('span');
+        piece.className = 'piece';
+        piece.textContent = ChessEngine.PIECE_UNICODE[board[r][c]];
+        sq.appendChild(piece);
+      }
+      boardEl.appendChild(sq);
+    }
+  }
+
+  document.querySelectorAll('#replay-moves .move-notation').forEach((el, i) => {
+    el.classList.toggle('current', i === replay.ply - 1);
+  });
+  document.getElementById('replay-ply').textContent = `${replay.ply} / ${replay.moves.length}`;
+}
+
+function copyReplayPGN() {
+  if (!replay) return;
+  navigator.clipboard.writeText(replay.game.pgn)
+    .then(() => showToast('PGN copied to clipboard.'))
+    .catch(() => showToast('Could not copy PGN.'));
+}
+
+function deleteReplayGame() {
+  if (!replay) return;
+  const { id } = replay.game;
+  ChessArchive.deleteGame(id)
+    .then(() => {
+      if (gameArchiveId === id) gameArchiveId = null;
+      closeReplay();
+      return loadArchive();
+    })
+    .then(() => showToast('Game deleted from the archive.'))
+    .catch(() => showToast('Could not delete the game.'));
+}
+
+loadArchive();
+
 // ========== CHALLENGE PAGE ==========
 function selectTime(btn) {
   document.querySelectorAll('.time-btn').forEach(b => b.classList.remove('active'));
   btn.classList.add('active');
+  challengeTimeControl = btn.getAttribute('data-tc');
 }
 
+// A challenge carries its time control as a ChessClock preset id, and
+// the game it leads to is started with that preset whichever side
+// starts it.
 function createChallenge(e) {
   e.preventDefault();
-  const opponent = document.getElementById('challenge-opponent').value;
-  showToast(`Challenge sent to ${opponent}!`);
+  const opponent = document.getElementById('challenge-opponent').value.trim();
+  const presetId = challengeTimeControl;
+  const description = ChessClock.describeTimeControl(ChessClock.getPreset(presetId).timeControl);
+
+  // The sent challenge joins the open ones, ready to play once accepted
+  const row = document.createElement('div');
+  row.className = 'oc-row oc-sent';
+  row.innerHTML =
+    `<div class="oc-info"><span class="oc-name">You → ${escapeHtml(opponent)}</span>` +
+    `<span class="oc-detail">${escapeHtml(description)} • Sent</span></div>`;
+  const play = document.createElement('button');
+  play.className = 'btn btn-primary btn-xs';
+  play.textContent = 'Play';
+  play.addEventListener('click', () => {
+    row.remove();
+    showToast(`Starting your ${description} game with ${opponent}...`);
+    startChallengeGame(presetId);
+  });
+  row.appendChild(play);
+  const list = document.getElementById('open-challenges');
+  list.insertBefore(row, list.firstChild);
+
+  showToast(`Challenge sent to ${opponent} (${description})!`);
   document.getElementById('challenge-opponent').value = '';
 }
 
-function acceptChallenge(name) {
+function acceptChallenge(name, presetId) {
   showToast(`Accepted challenge from ${name}! Starting game...`);
+  startChallengeGame(presetId);
+}
+
+function startChallengeGame(presetId) {
   setTimeout(() => {
     gameMode = 'player';
+    selectTimeControl(presetId);
     showPage('play');
     startGame();
   }, 1000);
@@ -715,12 +2277,76 @@ function escapeHtml(str) {
 }
 
 // ========== TRAINER TIP ==========
-function showTrainerTip(text) {
+// opening, when given, can be played out on the board from the tip
+function showTrainerTip(text, opening) {
   const tip = document.getElementById('trainer-tip');
   document.getElementById('trainer-tip-text').textContent = text;
+  const playBtn = document.getElementById('trainer-tip-play');
+  playBtn.classList.toggle('hidden', !opening);
+  playBtn.onclick = opening ? () => replayOpening(opening.id) : null;
   tip.classList.remove('hidden');
 }
 
 function hideTrainerTip() {
   document.getElementById('trainer-tip').classList.add('hidden');
 }
+
+// ========== OPENING EXPLORER ==========
+// "e4 e5 Nf3" → "1.e4 e5 2.Nf3"
+function numberMoves(line) {
+  return line.split(' ').map((san, i) => (i % 2 === 0 ? `${i / 2 + 1}.${san}` : san)).join(' ');
+}
+
+(function initOpeningExplorer() {
+  const list = document.getElementById('trainer-openings');
+  if (!list) return;
+  ChessBook.OPENINGS.forEach(opening => {
+    const item = document.createElement('div');
+    item.className = 'opening-item';
+    item.innerHTML = `<span>${escapeHtml(opening.name)}</span><span class="opening-tag">${escapeHtml(opening.tag)}</span>`;
+    item.addEventListener('click', () => {
+      showTrainerTip(`${opening.name}: ${numberMoves(opening.moves)} — ${opening.description}`, opening);
+    });
+    list.appendChild(item);
+  });
+})();
+
+// Start a two-player game and play the opening's main line move by move
+function replayOpening(id) {
+  const opening = ChessBook.OPENINGS.find(o => o.id === id);
+  if (!opening) return;
+  hideTrainerTip();
+  stopOpeningReplay();
+
+  gameMode = 'player';
+  showPage('play');
+  startGame();
+
+  const moves = opening.line.split(' ');
+  const replayState = gameState;
+  openingReplayTimer = setInterval(() => {
+    // The replay ends quietly if its game was replaced or finished
+    if (gameState !== replayState || gameState.isGameOver) {
+      stopOpeningReplay();
+      return;
+    }
+    if (moves.length === 0) {
+      stopOpeningReplay();
+      showToast(`${opening.name} — your move!`);
+      return;
+    }
+    let move;
+    try {
+      move = ChessEngine.moveFromSAN(gameState, moves.shift());
+    } catch (err) {
+      // The position no longer fits the line
+      stopOpeningReplay();
+      return;
+    }
+    executeMove(move);
+  }, 700);
+}
+
+function stopOpeningReplay() {
+  if (openingReplayTimer) { clearInterval(openingReplayTimer); openingReplayTimer = null; }
+}
@@ -0,0 +1,87 @@
+/* ============================================
+   ARCHIVE — finished games kept in IndexedDB
+   Each record holds the game's PGN and the
+   details the archive page filters on:
+   opponent, mode, difficulty, time control,
+   result, termination, opening and date.
+   All calls return promises; they reject when
+   the browser has no IndexedDB or blocks it.
+   ============================================ */
+
+// CommonJS module in Node and bundlers, a global in <script> and workers
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChessArchive = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+
+  const DB_NAME = 'chessmaster';
+  const DB_VERSION = 1;
+  const STORE = 'games';
+
+  let dbPromise = null;
+
+  // ========== DATABASE ==========
+
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The game archive is open in another tab'));
+    });
+    // A failed open can be retried on the next call
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Run `fn(store)` in a transaction; resolves with the result of the
+  // request it returns once the transaction completes
+  function withStore(mode, fn) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Archive transaction aborted'));
+    }));
+  }
+
+  // ========== GAMES ==========
+
+  // Store a game; resolves with its id. A record that already has an id
+  // replaces the stored one.
+  function saveGame(record) {
+    return withStore('readwrite', store => store.put(record));
+  }
+
+  // Every archived game, newest first
+  function listGames() {
+    return withStore('readonly', store => store.getAll())
+      .then(games => games.sort((a, b) => b.date - a.date || b.id - a.id));
+  }
+
+  // The game with this id, or undefined
+  function getGame(id) {
+    return withStore('readonly', store => store.get(id));
+  }
+
+  function deleteGame(id) {
+    return withStore('readwrite', store => store.delete(id)).then(() => undefined);
+  }
+
+  return { saveGame, listGames, getGame, deleteGame };
+});
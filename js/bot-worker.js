@@ -0,0 +1,97 @@
+/* ============================================
+   BOT WORKER — ChessBot search off the UI thread
+   In:  { type: 'book', data }
+        data is a Polyglot .bin book as an
+        ArrayBuffer; it replaces the bundled one.
+        { type: 'start', id, fen, moves, difficulty,
+          persona, clock }
+        fen is the start position (null for the
+        standard one), moves the UCI moves since,
+        clock the bot's { time, increment } in ms.
+        { type: 'stop', id }
+        ends search id after its current iteration.
+   Out: { type: 'progress', id, depth, move, san,
+          eval, nodes, pv, pvSan }
+        pv is the expected line in UCI, pvSan the
+        same line in SAN.
+        { type: 'result', id, move }
+        after a stop, the best move found so far.
+        { type: 'error', id, message }
+   The search runs one iteration per task so that
+   messages are read between iterations. A start
+   that arrives during a search replaces it; the
+   replaced search gets no result.
+   ============================================ */
+
+importScripts('chess-engine.js', 'book.js', 'endgame.js', 'bot.js');
+
+function buildState(fen, moves) {
+  const state = fen ? ChessEngine.fromFEN(fen) : ChessEngine.createGameState();
+  for (const uci of moves) {
+    ChessEngine.doMove(state, ChessEngine.moveFromUCI(state, uci));
+  }
+  return state;
+}
+
+// SAN of a line of moves from the current position, for the progress display
+function sanLine(state, moves) {
+  const line = moves.map(move => ChessEngine.makeMove(state, move).notation);
+  moves.forEach(() => ChessEngine.undoMove(state));
+  return line;
+}
+
+// The search in progress: { id, search, stopRequested }
+let current = null;
+
+// Run one iteration, then give queued messages a turn before the next
+function step(job) {
+  if (job !== current) return;
+  try {
+    const next = job.search.next();
+    if (!next.done) {
+      setTimeout(() => step(job), 0);
+      return;
+    }
+    current = null;
+    self.postMessage({ type: 'result', id: job.id, move: next.value ? ChessEngine.moveToUCI(next.value) : null });
+  } catch (err) {
+    current = null;
+    self.postMessage({ type: 'error', id: job.id, message: err.message });
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'book') {
+    ChessBot.setBook(ChessBook.fromPolyglot(msg.data));
+    return;
+  }
+  if (msg.type === 'stop') {
+    if (current && current.id === msg.id) current.stopRequested = true;
+    return;
+  }
+  if (msg.type !== 'start') return;
+  const { id } = msg;
+  try {
+    const state = buildState(msg.fen, msg.moves);
+    const job = { id, search: null, stopRequested: false };
+    job.search = ChessBot.startSearch(state, msg.difficulty, {
+      persona: msg.persona,
+      clock: msg.clock,
+      shouldStop: () => job.stopRequested,
+      onProgress({ depth, move, eval: score, nodes, pv }) {
+        const pvSan = sanLine(state, pv);
+        self.postMessage({
+          type: 'progress', id, depth, nodes, eval: score,
+          move: ChessEngine.moveToUCI(move), san: pvSan[0],
+          pv: pv.map(ChessEngine.moveToUCI), pvSan
+        });
+      }
+    });
+    current = job;
+    step(job);
+  } catch (err) {
+    current = null;
+    self.postMessage({ type: 'error', id, message: err.message });
+  }
+};
@@ -1,11 +1,26 @@
 /* ============================================
-   CHESS BOT — 3 Difficulty Levels (STRONG AI)
-   Beginner: minimax depth 2 + basic eval
-   Medium:   minimax depth 4 + advanced eval + quiescence
-   Pro:      minimax depth 6 + full eval + quiescence + killer moves
+   CHESS BOT — 10-Level Ladder with Personas
+   Iterative-deepening principal-variation
+   search with a transposition table, null-move
+   pruning and late-move reductions, stopped by a
+   depth, time or node limit. Each level (LEVELS)
+   is a preset of those limits; the lower levels
+   add noise and deliberate slips to play like
+   people. Personas (PERSONAS) reweight the
+   evaluation to give the bot a style.
+   With a clock the bot also budgets its time.
+   Openings come from a ChessBook while in book;
+   ChessEndgame supplies exact endgame scores.
    ============================================ */
 
-const ChessBot = (() => {
+// CommonJS module in Node and bundlers, a global in <script> and workers
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./chess-engine.js'), require('./book.js'), require('./endgame.js'));
+  } else {
+    root.ChessBot = factory(root.ChessEngine, root.ChessBook, root.ChessEndgame);
+  }
+})(typeof self !== 'undefined' ? self : this, (ChessEngine, ChessBook, ChessEndgame) => {
 
   // ========== PIECE-SQUARE TABLES ==========
 
@@ -101,6 +116,39 @@ const ChessBot = (() => {
     }
   }
 
+  // ========== PERSONAS ==========
+  // Evaluation weights that give the bot a playing style. 1 is the
+  // standard weight of a term; kingAttack rewards pieces near the enemy
+  // king and is off unless a persona asks for it.
+
+  const PERSONAS = {
+    balanced: {
+      name: 'Balanced',
+      description: 'Plays the position on its merits.',
+      weights: { pawnValue: 1, pawnStructure: 1, passedPawns: 1, mobility: 1, kingSafety: 1, kingAttack: 0 }
+    },
+    attacker: {
+      name: 'Aggressive Attacker',
+      description: 'Throws pieces at your king and values activity over pawns.',
+      weights: { pawnValue: 0.85, pawnStructure: 0.6, passedPawns: 0.8, mobility: 1.6, kingSafety: 0.7, kingAttack: 1.5 }
+    },
+    positional: {
+      name: 'Solid Positional',
+      description: 'Keeps a healthy pawn structure and a safe king.',
+      weights: { pawnValue: 1, pawnStructure: 1.8, passedPawns: 1.2, mobility: 0.8, kingSafety: 1.8, kingAttack: 0 }
+    },
+    grabber: {
+      name: 'Pawn Grabber',
+      description: 'Takes every pawn it can and pushes passers.',
+      weights: { pawnValue: 1.4, pawnStructure: 1, passedPawns: 1.6, mobility: 0.7, kingSafety: 0.8, kingAttack: 0 }
+    }
+  };
+
+  // Weights used by evaluate; set for each search from options.persona
+  let weights = PERSONAS.balanced.weights;
+  // Persona whose scores fill the transposition table
+  let hashPersona = 'balanced';
+
   // ========== ADVANCED EVALUATION ==========
 
   function isEndgame(state) {
@@ -133,6 +181,10 @@ const ChessBot = (() => {
     const board = state.board;
     const { WP, WN, WB, WR, WQ, WK, BP, BN, BB, BR, BQ, BK, PIECE_VALUES } = ChessEngine;
 
+    // Endgames known exactly (KPK bitbase, recognized draws)
+    const known = ChessEndgame.evaluate(state);
+    if (known !== null) return known;
+
     let score = 0;
     const endgame = isEndgame(state);
 
@@ -147,7 +199,7 @@ const ChessBot = (() => {
         const p = board[r][c];
         if (!p) continue;
 
-        const val = PIECE_VALUES[p] || 0;
+        const val = (PIECE_VALUES[p] || 0) * (p === WP || p === BP ? weights.pawnValue : 1);
         const pst = getPST(p, endgame);
         let positional = 0;
 
@@ -172,19 +224,20 @@ const ChessBot = (() => {
     if (blackBishops >= 2) score -= 50;
 
     // Pawn structure evaluation
+    let structure = 0, passers = 0;
     for (let c = 0; c < 8; c++) {
       // Doubled pawns penalty (-15 per extra pawn on same file)
-      if (whitePawnFiles[c] > 1) score -= 15 * (whitePawnFiles[c] - 1);
-      if (blackPawnFiles[c] > 1) score += 15 * (blackPawnFiles[c] - 1);
+      if (whitePawnFiles[c] > 1) structure -= 15 * (whitePawnFiles[c] - 1);
+      if (blackPawnFiles[c] > 1) structure += 15 * (blackPawnFiles[c] - 1);
 
       // Isolated pawns penalty (-20)
       const hasWhiteLeft = c > 0 && whitePawnFiles[c - 1] > 0;
       const hasWhiteRight = c < 7 && whitePawnFiles[c + 1] > 0;
-      if (whitePawnFiles[c] > 0 && !hasWhiteLeft && !hasWhiteRight) score -= 20;
+      if (whitePawnFiles[c] > 0 && !hasWhiteLeft && !hasWhiteRight) structure -= 20;
 
       const hasBlackLeft = c > 0 && blackPawnFiles[c - 1] > 0;
       const hasBlackRight = c < 7 && blackPawnFiles[c + 1] > 0;
-      if (blackPawnFiles[c] > 0 && !hasBlackLeft && !hasBlackRight) score += 20;
+      if (blackPawnFiles[c] > 0 && !hasBlackLeft && !hasBlackRight) structure += 20;
     }
 
     // Passed pawns bonus
@@ -204,7 +257,7 @@ const ChessBot = (() => {
             }
             if (passed) {
               // Bonus grows as pawn advances (row 6=rank2 → row 1=rank7)
-              score += (7 - r) * 15;
+              passers += (7 - r) * 15;
             }
             break;
           }
@@ -222,13 +275,14 @@ const ChessBot = (() => {
               if (!passed) break;
             }
             if (passed) {
-              score -= r * 15;
+              passers -= r * 15;
             }
             break;
           }
         }
       }
     }
+    score += structure * weights.pawnStructure + passers * weights.passedPawns;
 
     // Rook on open/semi-open file bonus
     for (let r = 0; r < 8; r++) {
@@ -246,6 +300,7 @@ const ChessBot = (() => {
 
     // King safety — penalize open files near king in middlegame
     if (!endgame) {
+      let shield = 0;
       const wKing = ChessEngine.findKing(board, 'w');
       const bKing = ChessEngine.findKing(board, 'b');
 
@@ -256,9 +311,9 @@ const ChessBot = (() => {
           if (sc >= 0 && sc < 8) {
             const shieldRow = wKing.r - 1;
             if (shieldRow >= 0 && board[shieldRow][sc] === WP) {
-              score += 15; // pawn shield present
+              shield += 15; // pawn shield present
             } else {
-              score -= 15; // pawn shield missing
+              shield -= 15; // pawn shield missing
             }
           }
         }
@@ -270,13 +325,14 @@ const ChessBot = (() => {
           if (sc >= 0 && sc < 8) {
             const shieldRow = bKing.r + 1;
             if (shieldRow < 8 && board[shieldRow][sc] === BP) {
-              score -= 15;
+              shield -= 15;
             } else {
-              score += 15;
+              shield += 15;
             }
           }
         }
       }
+      score += shield * weights.kingSafety;
     }
 
     // Mobility bonus (scaled)
@@ -287,27 +343,30 @@ const ChessBot = (() => {
     const blackMoves = ChessEngine.getAllLegalMoves(state).length;
     state.turn = savedTurn;
 
-    score += (whiteMoves - blackMoves) * 5;
-
-    // Bonus for attacking squares near enemy king
-    const enemyKing = ChessEngine.findKing(board, savedTurn === 'w' ? 'b' : 'w');
-    if (enemyKing) {
-      let attackCount = 0;
-      for (let dr = -2; dr <= 2; dr++) {
-        for (let dc = -2; dc <= 2; dc++) {
-          const ar = enemyKing.r + dr;
-          const ac = enemyKing.c + dc;
-          if (ar >= 0 && ar < 8 && ac >= 0 && ac < 8) {
-            // Check if this square is attacked by the current side
-            if (ChessEngine.isSquareAttacked(board, ar, ac, savedTurn === 'w' ? 'b' : 'w') === false) {
-              // The square is attacked by the side to move
-            }
-          }
+    score += (whiteMoves - blackMoves) * 5 * weights.mobility;
+
+    // Pieces close to the enemy king (attacking personas only)
+    if (weights.kingAttack) {
+      const wKing = ChessEngine.findKing(board, 'w');
+      const bKing = ChessEngine.findKing(board, 'b');
+      let attack = 0;
+      for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+          const p = board[r][c];
+          if (!p || p === WP || p === BP || p === WK || p === BK) continue;
+          const target = ChessEngine.isWhite(p) ? bKing : wKing;
+          if (!target) continue;
+          const closeness = 7 - Math.max(Math.abs(r - target.r), Math.abs(c - target.c));
+          attack += ChessEngine.isWhite(p) ? closeness * 4 : -closeness * 4;
         }
       }
+      score += attack * weights.kingAttack;
     }
 
-    return score;
+    // Won endings: drive the lone king to the edge
+    if (endgame) score += ChessEndgame.mopUp(state);
+
+    return Math.round(score);
   }
 
   // ========== MOVE ORDERING ==========
@@ -378,253 +437,442 @@ const ChessBot = (() => {
     });
   }
 
-  // ========== QUIESCENCE SEARCH ==========
-  // Searches only capture moves to avoid the horizon effect
-  function quiescence(state, alpha, beta, maximizing, maxQDepth) {
-    const standPat = evaluate(state);
-
-    if (maxQDepth <= 0) return standPat;
-
-    if (maximizing) {
-      if (standPat >= beta) return beta;
-      if (standPat > alpha) alpha = standPat;
-    } else {
-      if (standPat <= alpha) return alpha;
-      if (standPat < beta) beta = standPat;
-    }
+  // ========== LEVELS ==========
+  // The ladder, weakest first. elo is a rough rating for the label.
+  // Search limits: maxDepth — deepest iteration; moveTime — ms per move;
+  // maxNodes — positions per move; quiescence — extend captures at the
+  // horizon; bookDepth — plies played from the opening book;
+  // bookRandomness — variety among book moves (ChessBook.pickBookMove).
+  // Human-like play: temperature — centipawns of noise when choosing
+  // among the scored moves; blunderChance — how often a move up to
+  // blunderMargin centipawns worse than the best is played instead.
+
+  const LEVELS = [
+    { level: 1,  name: 'Newcomer',     elo: 400,  maxDepth: 1,  moveTime: 300,  quiescence: false, bookDepth: 2,  bookRandomness: 2,   temperature: 120, blunderChance: 0.25,  blunderMargin: 500 },
+    { level: 2,  name: 'Novice',       elo: 600,  maxDepth: 1,  moveTime: 300,  quiescence: false, bookDepth: 4,  bookRandomness: 2,   temperature: 90,  blunderChance: 0.18,  blunderMargin: 400 },
+    { level: 3,  name: 'Beginner',     elo: 800,  maxDepth: 2,  moveTime: 500,  quiescence: false, bookDepth: 6,  bookRandomness: 1.5, temperature: 60,  blunderChance: 0.12,  blunderMargin: 300 },
+    { level: 4,  name: 'Casual',       elo: 1000, maxDepth: 2,  moveTime: 800,  quiescence: true,  bookDepth: 8,  bookRandomness: 1.5, temperature: 40,  blunderChance: 0.08,  blunderMargin: 250 },
+    { level: 5,  name: 'Club Player',  elo: 1200, maxDepth: 3,  moveTime: 1000, quiescence: true,  bookDepth: 10, bookRandomness: 1,   temperature: 25,  blunderChance: 0.05,  blunderMargin: 200 },
+    { level: 6,  name: 'Intermediate', elo: 1400, maxDepth: 3,  moveTime: 1500, quiescence: true,  bookDepth: 12, bookRandomness: 1,   temperature: 15,  blunderChance: 0.03,  blunderMargin: 150 },
+    { level: 7,  name: 'Advanced',     elo: 1600, maxDepth: 4,  moveTime: 2000, quiescence: true,  bookDepth: 12, bookRandomness: 1,   temperature: 8,   blunderChance: 0.015, blunderMargin: 100 },
+    { level: 8,  name: 'Expert',       elo: 1800, maxDepth: 5,  moveTime: 3000, quiescence: true,  bookDepth: 16, bookRandomness: 0.8, temperature: 0,   blunderChance: 0,     blunderMargin: 0 },
+    { level: 9,  name: 'Master',       elo: 2000, maxDepth: 64, moveTime: 3000, quiescence: true,  bookDepth: 24, bookRandomness: 0.6, temperature: 0,   blunderChance: 0,     blunderMargin: 0 },
+    { level: 10, name: 'Grandmaster',  elo: 2200, maxDepth: 64, moveTime: 6000, quiescence: true,  bookDepth: 30, bookRandomness: 0.5, temperature: 0,   blunderChance: 0,     blunderMargin: 0 }
+  ].map(level => ({ maxNodes: Infinity, ...level }));
+
+  // The original three difficulties are points on the ladder
+  const NAMED_LEVELS = { beginner: 3, medium: 7, pro: 10 };
+
+  // A level by number (1–10) or by name; unknown values get 'medium'
+  function getLevel(difficulty) {
+    const level = NAMED_LEVELS[difficulty] || Number(difficulty);
+    return LEVELS[level - 1] || LEVELS[NAMED_LEVELS.medium - 1];
+  }
 
-    // Get only capture moves
-    const allMoves = ChessEngine.getAllLegalMoves(state);
-    const captureMoves = allMoves.filter(m => m.capture || m.promotion);
+  // ========== SEARCH LIMITS ==========
 
-    if (captureMoves.length === 0) return standPat;
+  // Opening book in use; null means the bundled repertoire
+  let openingBook = null;
 
-    const ordered = orderMoves(captureMoves, state, undefined);
+  function setBook(book) {
+    openingBook = book;
+  }
 
-    if (maximizing) {
-      let maxEval = standPat;
-      for (const move of ordered) {
-        if (move.promotion && !move.promotionPiece) {
-          move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
-        }
-        ChessEngine.makeMove(state, move);
-        const eval_ = quiescence(state, alpha, beta, false, maxQDepth - 1);
-        ChessEngine.undoMove(state);
-        maxEval = Math.max(maxEval, eval_);
-        alpha = Math.max(alpha, eval_);
-        if (beta <= alpha) break;
-      }
-      return maxEval;
-    } else {
-      let minEval = standPat;
-      for (const move of ordered) {
-        if (move.promotion && !move.promotionPiece) {
-          move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
-        }
-        ChessEngine.makeMove(state, move);
-        const eval_ = quiescence(state, alpha, beta, true, maxQDepth - 1);
-        ChessEngine.undoMove(state);
-        minEval = Math.min(minEval, eval_);
-        beta = Math.min(beta, eval_);
-        if (beta <= alpha) break;
-      }
-      return minEval;
+  // Positions visited by the current search
+  let nodes = 0;
+  // Set once the search passes its deadline or node budget
+  let stopped = false;
+  let deadline = Infinity;
+  let nodeLimit = Infinity;
+
+  // The clock is only read every 1024 nodes
+  function checkLimits() {
+    if (nodes >= nodeLimit || ((nodes & 1023) === 0 && Date.now() >= deadline)) {
+      stopped = true;
     }
   }
 
-  // ========== MINIMAX WITH ALPHA-BETA + QUIESCENCE ==========
+  // Time for this move from the remaining clock, both in ms. Spreads the
+  // clock over `movesToGo` moves (30 if unknown), adds most of the
+  // increment and never spends more than half of what is left.
+  function allocateTime(clock) {
+    const movesToGo = clock.movesToGo || 30;
+    const increment = clock.increment || 0;
+    const budget = clock.time / movesToGo + increment * 0.75;
+    return Math.max(50, Math.min(budget, clock.time / 2));
+  }
 
-  function minimax(state, depth, alpha, beta, maximizing, useQuiescence, maxSearchDepth) {
-    if (depth === 0) {
-      if (useQuiescence) {
-        return quiescence(state, alpha, beta, maximizing, 6);
-      }
-      return evaluate(state);
-    }
+  // ========== SEARCH PROGRESS ==========
 
-    if (state.isGameOver) {
-      return evaluate(state);
+  // options.onProgress({ depth, move, eval, nodes, pv }) — eval is from
+  // White's view, pv the expected line starting with move
+  function reportProgress(options, depth, best) {
+    if (options.onProgress && best.move) {
+      options.onProgress({ depth, move: best.move, eval: best.eval, nodes, pv: best.pv });
     }
+  }
 
-    const currentDepth = maxSearchDepth - depth;
-    const moves = orderMoves(ChessEngine.getAllLegalMoves(state), state, currentDepth);
+  // ========== TRANSPOSITION TABLE ==========
+  // Parallel typed arrays indexed by the low 32 bits of the Zobrist hash
+  // and verified against the high 32 bits. A slot is overwritten by a
+  // different position, or by the same one searched at least as deep.
+
+  // Scores beyond MATE_BOUND are mates, MATE - ply from the mating side
+  const MATE = 99999;
+  const MATE_BOUND = MATE - 1000;
+  const INF = 1000000;
+  const MAX_PLY = 128;
+
+  const TT_EXACT = 1, TT_LOWER = 2, TT_UPPER = 3;
+  const TT_ENTRY_BYTES = 12;
+  const DEFAULT_HASH_MB = 8;
+  let ttMask = 0;
+  let ttCheck, ttScore, ttMove, ttDepth, ttFlag;
+
+  // Resize (and clear) the table to the largest power-of-two entry
+  // count that fits in `megabytes`
+  function setHashSize(megabytes) {
+    let entries = 1024;
+    while (entries * 2 * TT_ENTRY_BYTES <= megabytes * 1024 * 1024) entries *= 2;
+    ttMask = entries - 1;
+    ttCheck = new Uint32Array(entries);
+    ttScore = new Int32Array(entries);
+    ttMove = new Uint16Array(entries);
+    ttDepth = new Int8Array(entries);
+    ttFlag = new Uint8Array(entries);
+  }
 
-    if (moves.length === 0) {
-      if (ChessEngine.isInCheck(state.board, state.turn)) {
-        // Checkmate — prefer faster checkmates
-        return maximizing ? -99999 + currentDepth : 99999 - currentDepth;
-      }
-      return 0; // stalemate
-    }
+  function clearHash() {
+    ttFlag.fill(0);
+  }
 
-    if (maximizing) {
-      let maxEval = -Infinity;
-      for (const move of moves) {
-        if (move.promotion && !move.promotionPiece) {
-          move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
-        }
-        ChessEngine.makeMove(state, move);
-        const eval_ = minimax(state, depth - 1, alpha, beta, false, useQuiescence, maxSearchDepth);
-        ChessEngine.undoMove(state);
+  setHashSize(DEFAULT_HASH_MB);
 
-        if (eval_ > maxEval) {
-          maxEval = eval_;
-        }
-        alpha = Math.max(alpha, eval_);
-        if (beta <= alpha) {
-          // Beta cutoff — store killer move (only non-captures)
-          if (!move.capture) storeKiller(currentDepth, move);
-          break;
-        }
-      }
-      return maxEval;
-    } else {
-      let minEval = Infinity;
-      for (const move of moves) {
-        if (move.promotion && !move.promotionPiece) {
-          move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
-        }
-        ChessEngine.makeMove(state, move);
-        const eval_ = minimax(state, depth - 1, alpha, beta, true, useQuiescence, maxSearchDepth);
-        ChessEngine.undoMove(state);
+  // Moves are stored as 16 bits: from square, to square, promotion piece
+  function encodeMove(move) {
+    return ((move.fromR * 8 + move.fromC) << 10) | ((move.toR * 8 + move.toC) << 4) | (move.promotionPiece || 0);
+  }
 
-        if (eval_ < minEval) {
-          minEval = eval_;
-        }
-        beta = Math.min(beta, eval_);
-        if (beta <= alpha) {
-          if (!move.capture) storeKiller(currentDepth, move);
-          break;
-        }
-      }
-      return minEval;
-    }
+  // Mate scores are stored relative to the node, not the root
+  function scoreToTT(score, ply) {
+    if (score > MATE_BOUND) return score + ply;
+    if (score < -MATE_BOUND) return score - ply;
+    return score;
   }
 
-  // ========== BOT MOVE SELECTION ==========
+  function scoreFromTT(score, ply) {
+    if (score > MATE_BOUND) return score - ply;
+    if (score < -MATE_BOUND) return score + ply;
+    return score;
+  }
 
-  function getBeginnerMove(state) {
-    // Beginner: depth 2, no quiescence — decent but shallow
-    const moves = ChessEngine.getAllLegalMoves(state);
-    if (moves.length === 0) return null;
+  function storeEntry(state, depth, flag, score, move, ply) {
+    const i = state.hashLo & ttMask;
+    if (ttFlag[i] && ttCheck[i] === state.hashHi && ttDepth[i] > depth) return;
+    ttCheck[i] = state.hashHi;
+    ttScore[i] = scoreToTT(score, ply);
+    ttMove[i] = move ? encodeMove(move) : 0;
+    ttDepth[i] = depth;
+    ttFlag[i] = flag;
+  }
 
-    const maximizing = state.turn === 'w';
-    const depth = 2;
-    let bestMove = null;
-    let bestEval = maximizing ? -Infinity : Infinity;
+  // ========== QUIESCENCE SEARCH ==========
+  // Searches only capture moves to avoid the horizon effect
+
+  // Scores inside the search are from the side to move's view
+  function sideEval(state) {
+    return state.turn === 'w' ? evaluate(state) : -evaluate(state);
+  }
+
+  function quiescence(state, alpha, beta, maxQDepth) {
+    nodes++;
+    checkLimits();
+    if (stopped) return 0;
+    const standPat = sideEval(state);
 
-    const ordered = orderMoves([...moves], state, 0);
+    if (maxQDepth <= 0 || standPat >= beta) return standPat;
+    if (standPat > alpha) alpha = standPat;
+
+    // Get only capture moves
+    const allMoves = ChessEngine.getAllLegalMoves(state);
+    const captureMoves = allMoves.filter(m => m.capture || m.promotion);
 
-    for (const move of ordered) {
+    let best = standPat;
+    for (const move of orderMoves(captureMoves, state, undefined)) {
       if (move.promotion && !move.promotionPiece) {
         move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
       }
-      ChessEngine.makeMove(state, move);
-      const eval_ = minimax(state, depth - 1, -Infinity, Infinity, !maximizing, false, depth);
+      ChessEngine.doMove(state, move);
+      const score = -quiescence(state, -beta, -alpha, maxQDepth - 1);
       ChessEngine.undoMove(state);
+      if (stopped) return 0;
 
-      if (maximizing ? eval_ > bestEval : eval_ < bestEval) {
-        bestEval = eval_;
-        bestMove = move;
-      }
+      if (score > best) best = score;
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) break;
     }
+    return best;
+  }
 
-    return bestMove;
+  // ========== PRINCIPAL VARIATION SEARCH ==========
+  // Negamax with alpha-beta. The first move of a node gets the full window;
+  // the rest are tried with a null window and re-searched only if they
+  // beat it. Null-move pruning and late-move reductions skip lines that
+  // are very likely to fail low anyway.
+
+  // pvTable[ply] holds the best line found from `ply`, pvLength its end
+  const pvTable = Array.from({ length: MAX_PLY + 1 }, () => new Array(MAX_PLY + 1));
+  const pvLength = new Array(MAX_PLY + 1).fill(0);
+
+  // Null moves are unsafe in pawn endings (zugzwang)
+  function hasPieces(state) {
+    const { WN, WQ, BN, BQ } = ChessEngine;
+    const lo = state.turn === 'w' ? WN : BN, hi = state.turn === 'w' ? WQ : BQ;
+    return state.board.some(row => row.some(p => p >= lo && p <= hi));
   }
 
-  function getMediumMove(state) {
-    // Medium: depth 4 with quiescence — strong tactical play
-    clearKillers();
-    const moves = ChessEngine.getAllLegalMoves(state);
-    if (moves.length === 0) return null;
+  function negamax(state, depth, alpha, beta, ply, useQuiescence, allowNull) {
+    pvLength[ply] = ply;
+    if (depth <= 0 || ply >= MAX_PLY) {
+      if (useQuiescence) return quiescence(state, alpha, beta, 6);
+      nodes++;
+      return sideEval(state);
+    }
 
-    const maximizing = state.turn === 'w';
-    const depth = 4;
-    let bestMove = null;
-    let bestEval = maximizing ? -Infinity : Infinity;
+    nodes++;
+    checkLimits();
+    if (stopped) return 0;
+
+    // Repeating a position or reaching the 50-move limit is a draw
+    if (ply > 0 && (state.halfMoveClock >= 100 || ChessEngine.repetitionCount(state) >= 2)) return 0;
+
+    const pvNode = beta - alpha > 1;
+    const slot = state.hashLo & ttMask;
+    let hashMove = 0;
+    if (ttFlag[slot] && ttCheck[slot] === state.hashHi) {
+      hashMove = ttMove[slot];
+      if (!pvNode && ttDepth[slot] >= depth) {
+        const score = scoreFromTT(ttScore[slot], ply);
+        const flag = ttFlag[slot];
+        if (flag === TT_EXACT ||
+            (flag === TT_LOWER && score >= beta) ||
+            (flag === TT_UPPER && score <= alpha)) return score;
+      }
+    }
 
-    const ordered = orderMoves([...moves], state, 0);
+    const inCheck = ChessEngine.isInCheck(state.board, state.turn);
 
-    for (const move of ordered) {
+    // If passing the turn still fails high, a real move would as well
+    if (allowNull && !pvNode && !inCheck && depth >= 3 && beta < MATE_BOUND && hasPieces(state)) {
+      const R = depth > 6 ? 3 : 2;
+      ChessEngine.doNullMove(state);
+      const score = -negamax(state, depth - 1 - R, -beta, -beta + 1, ply + 1, useQuiescence, false);
+      ChessEngine.undoMove(state);
+      if (stopped) return 0;
+      if (score >= beta) return beta;
+    }
+
+    const moves = orderMoves(ChessEngine.getAllLegalMoves(state), state, ply);
+    if (moves.length === 0) {
+      // Checkmate — prefer faster checkmates
+      return inCheck ? -MATE + ply : 0;
+    }
+    if (hashMove) {
+      const i = moves.findIndex(m => (encodeMove(m) >> 4) === (hashMove >> 4));
+      if (i > 0) moves.unshift(moves.splice(i, 1)[0]);
+    }
+
+    const alphaOrig = alpha;
+    let best = -INF;
+    let bestMove = null;
+    for (let i = 0; i < moves.length; i++) {
+      const move = moves[i];
       if (move.promotion && !move.promotionPiece) {
         move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
       }
-      ChessEngine.makeMove(state, move);
-      const eval_ = minimax(state, depth - 1, -Infinity, Infinity, !maximizing, true, depth);
+      ChessEngine.doMove(state, move);
+      let score;
+      if (i === 0) {
+        score = -negamax(state, depth - 1, -beta, -alpha, ply + 1, useQuiescence, true);
+      } else {
+        // Quiet moves late in the ordering are first searched one ply shallower
+        const reduction = i >= 3 && depth >= 3 && !inCheck && !move.capture && !move.promotion &&
+          !ChessEngine.isInCheck(state.board, state.turn) ? 1 : 0;
+        score = -negamax(state, depth - 1 - reduction, -alpha - 1, -alpha, ply + 1, useQuiescence, true);
+        if (score > alpha && (reduction || score < beta)) {
+          score = -negamax(state, depth - 1, -beta, -alpha, ply + 1, useQuiescence, true);
+        }
+      }
       ChessEngine.undoMove(state);
+      if (stopped) return 0;
 
-      if (maximizing ? eval_ > bestEval : eval_ < bestEval) {
-        bestEval = eval_;
+      if (score > best) {
+        best = score;
         bestMove = move;
       }
+      if (score > alpha) {
+        alpha = score;
+        const line = pvTable[ply], next = pvTable[ply + 1];
+        line[ply] = move;
+        for (let j = ply + 1; j < pvLength[ply + 1]; j++) line[j] = next[j];
+        pvLength[ply] = Math.max(pvLength[ply + 1], ply + 1);
+      }
+      if (alpha >= beta) {
+        // Beta cutoff — store killer move (only non-captures)
+        if (!move.capture) storeKiller(ply, move);
+        break;
+      }
     }
 
-    return bestMove;
+    const flag = best >= beta ? TT_LOWER : best > alphaOrig ? TT_EXACT : TT_UPPER;
+    storeEntry(state, depth, flag, best, bestMove, ply);
+    return best;
   }
 
-  function getProMove(state) {
-    // Pro: depth 6 with quiescence + killer moves — very aggressive, deep thinking
-    clearKillers();
-    const moves = ChessEngine.getAllLegalMoves(state);
-    if (moves.length === 0) return null;
+  // ========== HUMAN-LIKE MOVE CHOICE ==========
 
-    const maximizing = state.turn === 'w';
-    const depth = 6;
-    let bestMove = null;
-    let bestEval = maximizing ? -Infinity : Infinity;
-    let alpha = -Infinity;
-    let beta = Infinity;
+  // Every root move scored from the side to move's view, by iterative
+  // deepening with a full window per move so the scores compare. Returns
+  // the deepest completed list, best first.
+  function* scoreRootMoves(state, moves, limits, startTime, moveTime, options) {
+    const sign = state.turn === 'w' ? 1 : -1;
+    let scored = null;
+
+    for (let depth = 1; depth <= Math.min(limits.maxDepth, MAX_PLY); depth++) {
+      deadline = depth === 1 ? Infinity : startTime + moveTime;
+      nodeLimit = depth === 1 ? Infinity : limits.maxNodes;
+
+      const list = [];
+      for (const move of moves) {
+        ChessEngine.doMove(state, move);
+        const score = -negamax(state, depth - 1, -INF, INF, 1, limits.quiescence, true);
+        ChessEngine.undoMove(state);
+        if (stopped) break;
+        list.push({ move, score, pv: [move, ...pvTable[1].slice(1, pvLength[1])] });
+      }
+      if (stopped) break;
+
+      list.sort((a, b) => b.score - a.score);
+      scored = list;
+      moves = list.map(entry => entry.move);
+      reportProgress(options, depth, { move: list[0].move, eval: sign * list[0].score, pv: list[0].pv });
+      if (Date.now() - startTime > moveTime / 2) break;
+      yield;
+      if (options.shouldStop && options.shouldStop()) break;
+    }
+    return scored;
+  }
+
+  // Now and then play a slip within the level's margin (never into a
+  // forced mate); otherwise prefer better moves, with noise set by the
+  // temperature
+  function chooseHumanMove(scored, limits, random = Math.random) {
+    const best = scored[0].score;
+    if (random() < limits.blunderChance) {
+      const slips = scored.filter(e => e.score < best && best - e.score <= limits.blunderMargin && e.score > -MATE_BOUND);
+      if (slips.length) return slips[Math.floor(random() * slips.length)].move;
+    }
+    if (!limits.temperature) return scored[0].move;
 
-    const ordered = orderMoves([...moves], state, 0);
+    const odds = scored.map(e => Math.exp((e.score - best) / limits.temperature));
+    let pick = random() * odds.reduce((sum, o) => sum + o, 0);
+    for (let i = 0; i < scored.length; i++) {
+      pick -= odds[i];
+      if (pick < 0) return scored[i].move;
+    }
+    return scored[0].move;
+  }
+
+  // ========== BOT MOVE SELECTION ==========
+
+  // Iterative deepening: search depth 1, 2, … until a limit is reached and
+  // return the best move of the deepest completed iteration. The table
+  // carries each iteration's best moves into the next one's ordering.
+  //
+  // difficulty — a level number (1–10) or 'beginner', 'medium', 'pro'
+  // options.persona — a PERSONAS key; 'balanced' by default
+  // options.limits — overrides for the level's settings
+  // options.clock — { time, increment, movesToGo } in ms, the bot's clock
+  // options.book — opening book for this move instead of the current one
+  // options.onProgress — called after each completed iteration
+  // options.shouldStop — checked after each completed iteration; when it
+  //   returns true the search ends with the best move found so far
+  function getBotMove(state, difficulty, options = {}) {
+    const search = startSearch(state, difficulty, options);
+    let step = search.next();
+    while (!step.done) step = search.next();
+    return step.value;
+  }
+
+  // The same search one iteration at a time: a generator that yields after
+  // each completed iteration and returns the move. A caller that runs the
+  // steps from separate tasks (the worker) can read a stop in between.
+  // Only one search can be in progress; module state is shared.
+  function* startSearch(state, difficulty, options = {}) {
+    const limits = { ...getLevel(difficulty), ...options.limits };
+    const persona = PERSONAS[options.persona] ? options.persona : 'balanced';
+    if (persona !== hashPersona) {
+      // Stored scores were computed with the other persona's weights
+      clearHash();
+      hashPersona = persona;
+    }
+    weights = PERSONAS[persona].weights;
 
-    // Iterative deepening for better move ordering on the final depth
-    // First do a quick depth-4 pass to order moves
-    let moveScores = [];
-    for (const move of ordered) {
+    if (state.history.length < limits.bookDepth) {
+      const book = options.book || openingBook || ChessBook.getDefaultBook();
+      const bookMove = ChessBook.pickBookMove(book, state, limits.bookRandomness);
+      if (bookMove) return bookMove;
+    }
+    let moveTime = limits.moveTime;
+    if (options.clock) moveTime = Math.min(moveTime, allocateTime(options.clock));
+
+    const moves = ChessEngine.getAllLegalMoves(state);
+    if (moves.length === 0) return null;
+    if (moves.length === 1) {
+      const move = moves[0];
       if (move.promotion && !move.promotionPiece) {
         move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
       }
-      ChessEngine.makeMove(state, move);
-      const eval_ = minimax(state, 3, -Infinity, Infinity, !maximizing, true, 4);
-      ChessEngine.undoMove(state);
-      moveScores.push({ move, eval: eval_ });
+      return move;
     }
 
-    // Sort by evaluation from the shallow search
-    moveScores.sort((a, b) => maximizing ? b.eval - a.eval : a.eval - b.eval);
-
-    // Now do the full depth-6 search with alpha-beta using the ordering from above
-    for (const { move } of moveScores) {
-      ChessEngine.makeMove(state, move);
-      const eval_ = minimax(state, depth - 1, alpha, beta, !maximizing, true, depth);
-      ChessEngine.undoMove(state);
+    clearKillers();
+    const startTime = Date.now();
+    const sign = state.turn === 'w' ? 1 : -1;
+    nodes = 0;
+    stopped = false;
 
-      if (maximizing) {
-        if (eval_ > bestEval) {
-          bestEval = eval_;
-          bestMove = move;
-        }
-        alpha = Math.max(alpha, eval_);
-      } else {
-        if (eval_ < bestEval) {
-          bestEval = eval_;
-          bestMove = move;
+    if (limits.temperature || limits.blunderChance) {
+      for (const move of moves) {
+        if (move.promotion && !move.promotionPiece) {
+          move.promotionPiece = state.turn === 'w' ? ChessEngine.WQ : ChessEngine.BQ;
         }
-        beta = Math.min(beta, eval_);
       }
+      return chooseHumanMove(yield* scoreRootMoves(state, moves, limits, startTime, moveTime, options), limits);
     }
 
-    return bestMove;
-  }
+    let best = null;
+
+    for (let depth = 1; depth <= Math.min(limits.maxDepth, MAX_PLY); depth++) {
+      // Depth 1 always completes so there is a move to play
+      deadline = depth === 1 ? Infinity : startTime + moveTime;
+      nodeLimit = depth === 1 ? Infinity : limits.maxNodes;
 
-  function getBotMove(state, difficulty) {
-    switch (difficulty) {
-      case 'beginner': return getBeginnerMove(state);
-      case 'medium':   return getMediumMove(state);
-      case 'pro':      return getProMove(state);
-      default:         return getMediumMove(state);
+      const score = negamax(state, depth, -INF, INF, 0, limits.quiescence, false);
+      if (stopped) break;
+      best = { move: pvTable[0][0], eval: sign * score, pv: pvTable[0].slice(0, pvLength[0]) };
+      reportProgress(options, depth, best);
+
+      // A forced mate won't get any shorter by searching deeper
+      if (Math.abs(score) > MATE_BOUND) break;
+      // The next iteration takes several times as long as this one
+      if (Date.now() - startTime > moveTime / 2) break;
+      yield;
+      if (options.shouldStop && options.shouldStop()) break;
     }
+
+    return best.move;
   }
 
-  return { getBotMove, evaluate };
-})();
+  return { getBotMove, startSearch, getLevel, evaluate, setBook, setHashSize, clearHash, LEVELS, PERSONAS };
+});
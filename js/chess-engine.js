@@ -2,10 +2,20 @@
    CHESS ENGINE — Full game logic
    Handles board state, move generation,
    validation, check/checkmate/stalemate,
-   castling, en passant, promotion, and undo.
+   castling, en passant, promotion, draws
+   by repetition and move-count rules,
+   Zobrist hashing, incremental make/undo,
+   FEN import/export and SAN/UCI parsing.
    ============================================ */
 
-const ChessEngine = (() => {
+// CommonJS module in Node and bundlers, a global in <script> and workers
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChessEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
   // Piece constants
   const EMPTY = 0;
   const WP = 1, WN = 2, WB = 3, WR = 4, WQ = 5, WK = 6;
@@ -48,7 +58,7 @@ const ChessEngine = (() => {
   }
 
   function createGameState() {
-    return {
+    const state = {
       board: createInitialBoard(),
       turn: 'w',
       castling: { wK: true, wQ: true, bK: true, bQ: true },
@@ -60,28 +70,230 @@ const ChessEngine = (() => {
       capturedBlack: [], // pieces captured from black (shown near white)
       moveList: [],      // algebraic notation list
       isGameOver: false,
-      result: null
+      result: null,
+      termination: null, // why the game ended, see TERMINATIONS
+      startFen: null,    // FEN of a set-up start position, null for the standard one
+      hashHi: 0,         // Zobrist hash of the position, high and low 32 bits
+      hashLo: 0,
+      hashEpFile: -1     // en passant file folded into the hash, -1 if none
     };
+    computeHash(state);
+    return state;
   }
 
-  // Deep clone the board
-  function cloneBoard(b) { return b.map(r => [...r]); }
+  // ========== ZOBRIST HASHING ==========
+  // 64-bit keys are kept as two unsigned 32-bit halves so they stay plain
+  // numbers. A fixed seed keeps hashes identical across pages and workers.
+
+  const Z_PIECE_HI = new Uint32Array(13 * 64), Z_PIECE_LO = new Uint32Array(13 * 64);
+  const Z_CASTLE_HI = new Uint32Array(4), Z_CASTLE_LO = new Uint32Array(4);
+  const Z_EP_HI = new Uint32Array(8), Z_EP_LO = new Uint32Array(8);
+  let Z_SIDE_HI = 0, Z_SIDE_LO = 0;
+  const CASTLE_KEYS = ['wK', 'wQ', 'bK', 'bQ'];
+
+  (function initZobrist() {
+    let seed = 0x2545f491;
+    const rand32 = () => {
+      seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5;
+      return seed >>> 0;
+    };
+    for (let i = 64; i < Z_PIECE_HI.length; i++) { Z_PIECE_HI[i] = rand32(); Z_PIECE_LO[i] = rand32(); }
+    for (let i = 0; i < 4; i++) { Z_CASTLE_HI[i] = rand32(); Z_CASTLE_LO[i] = rand32(); }
+    for (let i = 0; i < 8; i++) { Z_EP_HI[i] = rand32(); Z_EP_LO[i] = rand32(); }
+    Z_SIDE_HI = rand32(); Z_SIDE_LO = rand32();
+  })();
+
+  // En passant only counts towards the position when the capture is legal
+  function legalEnPassantFile(state) {
+    const ep = state.enPassant;
+    if (!ep) return -1;
+    const board = state.board;
+    const pawn = state.turn === 'w' ? WP : BP;
+    const fromRow = state.turn === 'w' ? ep.row + 1 : ep.row - 1;
+    for (const dc of [-1, 1]) {
+      const fc = ep.col + dc;
+      if (!inBounds(fromRow, fc) || board[fromRow][fc] !== pawn) continue;
+      const victim = board[fromRow][ep.col];
+      board[ep.row][ep.col] = pawn;
+      board[fromRow][fc] = EMPTY;
+      board[fromRow][ep.col] = EMPTY;
+      const legal = !isInCheck(board, state.turn);
+      board[fromRow][ep.col] = victim;
+      board[fromRow][fc] = pawn;
+      board[ep.row][ep.col] = EMPTY;
+      if (legal) return ep.col;
+    }
+    return -1;
+  }
 
-  // Clone entire state (for undo)
-  function cloneState(s) {
-    return {
-      board: cloneBoard(s.board),
-      turn: s.turn,
-      castling: { ...s.castling },
-      enPassant: s.enPassant ? { ...s.enPassant } : null,
-      halfMoveClock: s.halfMoveClock,
-      fullMoveNumber: s.fullMoveNumber,
-      capturedWhite: [...s.capturedWhite],
-      capturedBlack: [...s.capturedBlack],
-      moveList: [...s.moveList]
+  function computeHash(state) {
+    let hi = 0, lo = 0;
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        const p = state.board[r][c];
+        if (p) { hi ^= Z_PIECE_HI[p * 64 + r * 8 + c]; lo ^= Z_PIECE_LO[p * 64 + r * 8 + c]; }
+      }
+    }
+    CASTLE_KEYS.forEach((key, i) => {
+      if (state.castling[key]) { hi ^= Z_CASTLE_HI[i]; lo ^= Z_CASTLE_LO[i]; }
+    });
+    state.hashEpFile = legalEnPassantFile(state);
+    if (state.hashEpFile >= 0) { hi ^= Z_EP_HI[state.hashEpFile]; lo ^= Z_EP_LO[state.hashEpFile]; }
+    if (state.turn === 'b') { hi ^= Z_SIDE_HI; lo ^= Z_SIDE_LO; }
+    state.hashHi = hi >>> 0;
+    state.hashLo = lo >>> 0;
+  }
+
+  // Position hash as a 16-digit hex string, for use as a map key
+  function hashKey(state) {
+    return state.hashHi.toString(16).padStart(8, '0') + state.hashLo.toString(16).padStart(8, '0');
+  }
+
+  // ========== FEN ==========
+
+  const FEN_PIECES = {
+    P: WP, N: WN, B: WB, R: WR, Q: WQ, K: WK,
+    p: BP, n: BN, b: BB, r: BR, q: BQ, k: BK
+  };
+
+  // Full piece set, used to work out what has been captured in a FEN position
+  const STARTING_COUNTS = {
+    [WP]: 8, [WN]: 2, [WB]: 2, [WR]: 2, [WQ]: 1,
+    [BP]: 8, [BN]: 2, [BB]: 2, [BR]: 2, [BQ]: 1
+  };
+
+  function squareName(r, c) { return 'abcdefgh'[c] + (8 - r); }
+
+  function parseSquare(name) {
+    if (!/^[a-h][1-8]$/.test(name)) return null;
+    return { row: 8 - Number(name[1]), col: name.charCodeAt(0) - 97 };
+  }
+
+  function toFEN(state) {
+    const rows = state.board.map(row => {
+      let out = '', empty = 0;
+      for (const p of row) {
+        if (p === EMPTY) { empty++; continue; }
+        if (empty) { out += empty; empty = 0; }
+        out += PIECE_NAMES[p];
+      }
+      return empty ? out + empty : out;
+    });
+
+    const { wK, wQ, bK, bQ } = state.castling;
+    const castling = (wK ? 'K' : '') + (wQ ? 'Q' : '') + (bK ? 'k' : '') + (bQ ? 'q' : '') || '-';
+    const ep = state.enPassant ? squareName(state.enPassant.row, state.enPassant.col) : '-';
+
+    return [rows.join('/'), state.turn, castling, ep, state.halfMoveClock, state.fullMoveNumber].join(' ');
+  }
+
+  function fromFEN(fen) {
+    if (typeof fen !== 'string') throw new Error('Invalid FEN: expected a string');
+    const fields = fen.trim().split(/\s+/);
+    if (fields.length !== 6 && fields.length !== 4) {
+      throw new Error(`Invalid FEN: expected 4 or 6 fields, got ${fields.length}`);
+    }
+    const [placement, turn, castlingField, epField, halfField = '0', fullField = '1'] = fields;
+
+    // Piece placement
+    const ranks = placement.split('/');
+    if (ranks.length !== 8) throw new Error(`Invalid FEN: expected 8 ranks, got ${ranks.length}`);
+    const board = [];
+    ranks.forEach((rank, r) => {
+      const row = [];
+      for (const ch of rank) {
+        if (/[1-8]/.test(ch)) {
+          for (let i = 0; i < Number(ch); i++) row.push(EMPTY);
+        } else if (FEN_PIECES[ch]) {
+          row.push(FEN_PIECES[ch]);
+        } else {
+          throw new Error(`Invalid FEN: unknown piece '${ch}' on rank ${8 - r}`);
+        }
+      }
+      if (row.length !== 8) throw new Error(`Invalid FEN: rank ${8 - r} has ${row.length} squares`);
+      board.push(row);
+    });
+
+    const counts = {};
+    board.forEach((row, r) => row.forEach(p => {
+      if (!p) return;
+      counts[p] = (counts[p] || 0) + 1;
+      if ((p === WP || p === BP) && (r === 0 || r === 7)) {
+        throw new Error('Invalid FEN: pawn on the first or eighth rank');
+      }
+    }));
+    if (counts[WK] !== 1 || counts[BK] !== 1) {
+      throw new Error('Invalid FEN: each side must have exactly one king');
+    }
+
+    // Side to move
+    if (turn !== 'w' && turn !== 'b') throw new Error(`Invalid FEN: side to move must be 'w' or 'b', got '${turn}'`);
+    const opponent = turn === 'w' ? 'b' : 'w';
+    if (isInCheck(board, opponent)) throw new Error('Invalid FEN: the side not to move is in check');
+
+    // Castling rights
+    if (!/^(-|K?Q?k?q?)$/.test(castlingField)) {
+      throw new Error(`Invalid FEN: bad castling field '${castlingField}'`);
+    }
+    const castling = {
+      wK: castlingField.includes('K'), wQ: castlingField.includes('Q'),
+      bK: castlingField.includes('k'), bQ: castlingField.includes('q')
     };
+    const castleChecks = [
+      ['wK', 'K', 7, WK, 7, WR], ['wQ', 'Q', 7, WK, 0, WR],
+      ['bK', 'k', 0, BK, 7, BR], ['bQ', 'q', 0, BK, 0, BR]
+    ];
+    for (const [key, letter, row, king, rookCol, rook] of castleChecks) {
+      if (castling[key] && (board[row][4] !== king || board[row][rookCol] !== rook)) {
+        throw new Error(`Invalid FEN: castling right '${letter}' without king and rook on their home squares`);
+      }
+    }
+
+    // En passant target
+    let enPassant = null;
+    if (epField !== '-') {
+      const sq = parseSquare(epField);
+      if (!sq) throw new Error(`Invalid FEN: bad en passant square '${epField}'`);
+      const epRow = turn === 'w' ? 2 : 5;
+      const pawnRow = turn === 'w' ? 3 : 4;
+      const pawn = turn === 'w' ? BP : WP;
+      if (sq.row !== epRow || board[sq.row][sq.col] !== EMPTY || board[pawnRow][sq.col] !== pawn) {
+        throw new Error(`Invalid FEN: en passant square '${epField}' does not follow a double pawn push`);
+      }
+      enPassant = sq;
+    }
+
+    // Clocks
+    if (!/^\d+$/.test(halfField)) throw new Error(`Invalid FEN: bad half-move clock '${halfField}'`);
+    if (!/^\d+$/.test(fullField) || Number(fullField) < 1) throw new Error(`Invalid FEN: bad full-move number '${fullField}'`);
+
+    const capturedWhite = [], capturedBlack = [];
+    for (const [p, n] of Object.entries(STARTING_COUNTS)) {
+      const piece = Number(p);
+      for (let i = counts[piece] || 0; i < n; i++) {
+        (isWhite(piece) ? capturedWhite : capturedBlack).push(piece);
+      }
+    }
+
+    const state = {
+      ...createGameState(),
+      board,
+      turn,
+      castling,
+      enPassant,
+      halfMoveClock: Number(halfField),
+      fullMoveNumber: Number(fullField),
+      capturedWhite,
+      capturedBlack
+    };
+    state.startFen = toFEN(state);
+    computeHash(state);
+    return state;
   }
 
+  // Deep clone the board
+  function cloneBoard(b) { return b.map(r => [...r]); }
+
   // ========== MOVE GENERATION ==========
 
   function getPseudoLegalMoves(state, r, c) {
@@ -278,48 +490,17 @@ const ChessEngine = (() => {
   function getLegalMoves(state, r, c) {
     const pseudoMoves = getPseudoLegalMoves(state, r, c);
     const legal = [];
+    const turn = state.turn;
     for (const move of pseudoMoves) {
-      const testBoard = cloneBoard(state.board);
-      applyMoveToBoard(testBoard, move, state);
-      if (!isInCheck(testBoard, state.turn)) {
+      doMove(state, move);
+      if (!isInCheck(state.board, turn)) {
         legal.push(move);
       }
+      undoMove(state);
     }
     return legal;
   }
 
-  // Apply a move to a board copy (for testing)
-  function applyMoveToBoard(board, move, state) {
-    const piece = board[move.fromR][move.fromC];
-    board[move.toR][move.toC] = piece;
-    board[move.fromR][move.fromC] = EMPTY;
-
-    // En passant capture
-    if (move.enPassant) {
-      const dir = state.turn === 'w' ? 1 : -1;
-      board[move.toR + dir][move.toC] = EMPTY;
-    }
-
-    // Castling rook move
-    if (move.castleKing) {
-      const row = move.fromR;
-      board[row][5] = board[row][7];
-      board[row][7] = EMPTY;
-    }
-    if (move.castleQueen) {
-      const row = move.fromR;
-      board[row][3] = board[row][0];
-      board[row][0] = EMPTY;
-    }
-
-    // Promotion (default queen for testing)
-    if (move.promotion && !move.promotionPiece) {
-      board[move.toR][move.toC] = state.turn === 'w' ? WQ : BQ;
-    } else if (move.promotionPiece) {
-      board[move.toR][move.toC] = move.promotionPiece;
-    }
-  }
-
   // Get ALL legal moves for a side
   function getAllLegalMoves(state) {
     const moves = [];
@@ -333,78 +514,96 @@ const ChessEngine = (() => {
     return moves;
   }
 
-  // ========== MAKE MOVE ==========
+  // ========== MAKE / UNMAKE ==========
 
-  function makeMove(state, move) {
-    // Save state for undo
-    state.history.push(cloneState(state));
+  function toggleHash(state, piece, r, c) {
+    state.hashHi = (state.hashHi ^ Z_PIECE_HI[piece * 64 + r * 8 + c]) >>> 0;
+    state.hashLo = (state.hashLo ^ Z_PIECE_LO[piece * 64 + r * 8 + c]) >>> 0;
+  }
+
+  function movePiece(state, fromR, fromC, toR, toC) {
+    const piece = state.board[fromR][fromC];
+    toggleHash(state, piece, fromR, fromC);
+    toggleHash(state, piece, toR, toC);
+    state.board[toR][toC] = piece;
+    state.board[fromR][fromC] = EMPTY;
+  }
 
+  // Play a move without notation or game-end checks. Only the delta needed
+  // to take it back is pushed onto state.history; undoMove reverses it.
+  function doMove(state, move) {
     const board = state.board;
     const piece = board[move.fromR][move.fromC];
-    const captured = board[move.toR][move.toC];
-
-    // Build algebraic notation
-    const notation = buildNotation(state, move, piece, captured);
-
-    // Handle captures
+    const capRow = move.enPassant ? move.fromR : move.toR;
+    const captured = board[capRow][move.toC];
+
+    state.history.push({
+      move, piece, captured,
+      castling: state.castling,
+      enPassant: state.enPassant,
+      halfMoveClock: state.halfMoveClock,
+      hashHi: state.hashHi,
+      hashLo: state.hashLo,
+      hashEpFile: state.hashEpFile,
+      // A finished game stays finished when a move is tried and taken back
+      isGameOver: state.isGameOver,
+      result: state.result,
+      termination: state.termination
+    });
+
+    // Captures (the en passant victim sits beside the moving pawn)
     if (captured) {
+      toggleHash(state, captured, capRow, move.toC);
+      board[capRow][move.toC] = EMPTY;
       if (isWhite(captured)) state.capturedWhite.push(captured);
       else state.capturedBlack.push(captured);
     }
 
-    // En passant capture
-    if (move.enPassant) {
-      const dir = state.turn === 'w' ? 1 : -1;
-      const epPiece = board[move.toR + dir][move.toC];
-      if (isWhite(epPiece)) state.capturedWhite.push(epPiece);
-      else state.capturedBlack.push(epPiece);
-      board[move.toR + dir][move.toC] = EMPTY;
-    }
-
-    // Move piece
-    board[move.toR][move.toC] = piece;
-    board[move.fromR][move.fromC] = EMPTY;
+    movePiece(state, move.fromR, move.fromC, move.toR, move.toC);
 
     // Castling rook
-    if (move.castleKing) {
-      const row = move.fromR;
-      board[row][5] = board[row][7];
-      board[row][7] = EMPTY;
-    }
-    if (move.castleQueen) {
-      const row = move.fromR;
-      board[row][3] = board[row][0];
-      board[row][0] = EMPTY;
-    }
-
-    // Promotion
-    if (move.promotionPiece) {
-      board[move.toR][move.toC] = move.promotionPiece;
+    if (move.castleKing) movePiece(state, move.fromR, 7, move.fromR, 5);
+    if (move.castleQueen) movePiece(state, move.fromR, 0, move.fromR, 3);
+
+    // Promotion (a queen unless a piece was chosen)
+    if (move.promotion || move.promotionPiece) {
+      const promoted = move.promotionPiece || (isWhite(piece) ? WQ : BQ);
+      toggleHash(state, piece, move.toR, move.toC);
+      toggleHash(state, promoted, move.toR, move.toC);
+      board[move.toR][move.toC] = promoted;
     }
 
     // Update castling rights
-    if (piece === WK) { state.castling.wK = false; state.castling.wQ = false; }
-    if (piece === BK) { state.castling.bK = false; state.castling.bQ = false; }
-    if (piece === WR && move.fromR === 7 && move.fromC === 7) state.castling.wK = false;
-    if (piece === WR && move.fromR === 7 && move.fromC === 0) state.castling.wQ = false;
-    if (piece === BR && move.fromR === 0 && move.fromC === 7) state.castling.bK = false;
-    if (piece === BR && move.fromR === 0 && move.fromC === 0) state.castling.bQ = false;
+    const castling = { ...state.castling };
+    if (piece === WK) { castling.wK = false; castling.wQ = false; }
+    if (piece === BK) { castling.bK = false; castling.bQ = false; }
+    if (piece === WR && move.fromR === 7 && move.fromC === 7) castling.wK = false;
+    if (piece === WR && move.fromR === 7 && move.fromC === 0) castling.wQ = false;
+    if (piece === BR && move.fromR === 0 && move.fromC === 7) castling.bK = false;
+    if (piece === BR && move.fromR === 0 && move.fromC === 0) castling.bQ = false;
     // If rook captured
-    if (move.toR === 0 && move.toC === 7) state.castling.bK = false;
-    if (move.toR === 0 && move.toC === 0) state.castling.bQ = false;
-    if (move.toR === 7 && move.toC === 7) state.castling.wK = false;
-    if (move.toR === 7 && move.toC === 0) state.castling.wQ = false;
+    if (move.toR === 0 && move.toC === 7) castling.bK = false;
+    if (move.toR === 0 && move.toC === 0) castling.bQ = false;
+    if (move.toR === 7 && move.toC === 7) castling.wK = false;
+    if (move.toR === 7 && move.toC === 0) castling.wQ = false;
+    CASTLE_KEYS.forEach((key, i) => {
+      if (castling[key] !== state.castling[key]) {
+        state.hashHi = (state.hashHi ^ Z_CASTLE_HI[i]) >>> 0;
+        state.hashLo = (state.hashLo ^ Z_CASTLE_LO[i]) >>> 0;
+      }
+    });
+    state.castling = castling;
 
     // En passant target
     if (move.doublePush) {
-      const epRow = state.turn === 'w' ? move.fromR - 1 : move.fromR + 1;
+      const epRow = isWhite(piece) ? move.fromR - 1 : move.fromR + 1;
       state.enPassant = { row: epRow, col: move.fromC };
     } else {
       state.enPassant = null;
     }
 
     // Half-move clock
-    if (piece === WP || piece === BP || captured || move.enPassant) {
+    if (piece === WP || piece === BP || captured) {
       state.halfMoveClock = 0;
     } else {
       state.halfMoveClock++;
@@ -413,6 +612,59 @@ const ChessEngine = (() => {
     // Switch turn
     if (state.turn === 'b') state.fullMoveNumber++;
     state.turn = state.turn === 'w' ? 'b' : 'w';
+    state.hashHi = (state.hashHi ^ Z_SIDE_HI) >>> 0;
+    state.hashLo = (state.hashLo ^ Z_SIDE_LO) >>> 0;
+
+    if (state.hashEpFile >= 0) {
+      state.hashHi = (state.hashHi ^ Z_EP_HI[state.hashEpFile]) >>> 0;
+      state.hashLo = (state.hashLo ^ Z_EP_LO[state.hashEpFile]) >>> 0;
+    }
+    state.hashEpFile = move.doublePush ? legalEnPassantFile(state) : -1;
+    if (state.hashEpFile >= 0) {
+      state.hashHi = (state.hashHi ^ Z_EP_HI[state.hashEpFile]) >>> 0;
+      state.hashLo = (state.hashLo ^ Z_EP_LO[state.hashEpFile]) >>> 0;
+    }
+
+    return captured;
+  }
+
+  // Pass the turn without moving, for null-move pruning in a search. Must
+  // not be played while in check. undoMove takes it back like any move.
+  function doNullMove(state) {
+    state.history.push({
+      move: null, piece: EMPTY, captured: EMPTY,
+      castling: state.castling,
+      enPassant: state.enPassant,
+      halfMoveClock: state.halfMoveClock,
+      hashHi: state.hashHi,
+      hashLo: state.hashLo,
+      hashEpFile: state.hashEpFile,
+      isGameOver: state.isGameOver,
+      result: state.result,
+      termination: state.termination
+    });
+
+    state.enPassant = null;
+    state.halfMoveClock++;
+    if (state.turn === 'b') state.fullMoveNumber++;
+    state.turn = state.turn === 'w' ? 'b' : 'w';
+    state.hashHi = (state.hashHi ^ Z_SIDE_HI) >>> 0;
+    state.hashLo = (state.hashLo ^ Z_SIDE_LO) >>> 0;
+    if (state.hashEpFile >= 0) {
+      state.hashHi = (state.hashHi ^ Z_EP_HI[state.hashEpFile]) >>> 0;
+      state.hashLo = (state.hashLo ^ Z_EP_LO[state.hashEpFile]) >>> 0;
+    }
+    state.hashEpFile = -1;
+  }
+
+  function makeMove(state, move) {
+    const piece = state.board[move.fromR][move.fromC];
+
+    // Build algebraic notation
+    const notation = buildNotation(state, move, piece, state.board[move.toR][move.toC]);
+
+    const captured = doMove(state, move);
+    const record = state.history[state.history.length - 1];
 
     // Check for check/checkmate/stalemate
     const oppMoves = getAllLegalMoves(state);
@@ -421,12 +673,10 @@ const ChessEngine = (() => {
     let finalNotation = notation;
     if (oppMoves.length === 0) {
       if (inCheck) {
-        state.isGameOver = true;
-        state.result = state.turn === 'w' ? 'black' : 'white';
+        endGame(state, state.turn === 'w' ? 'black' : 'white', TERMINATIONS.CHECKMATE);
         finalNotation += '#';
       } else {
-        state.isGameOver = true;
-        state.result = 'draw';
+        endGame(state, 'draw', TERMINATIONS.STALEMATE);
       }
     } else if (inCheck) {
       finalNotation += '+';
@@ -434,19 +684,77 @@ const ChessEngine = (() => {
 
     // Draw by insufficient material
     if (!state.isGameOver && isInsufficientMaterial(state.board)) {
-      state.isGameOver = true;
-      state.result = 'draw';
+      endGame(state, 'draw', TERMINATIONS.INSUFFICIENT_MATERIAL);
     }
 
-    // 50-move rule
-    if (!state.isGameOver && state.halfMoveClock >= 100) {
-      state.isGameOver = true;
-      state.result = 'draw';
+    // Fivefold repetition ends the game without a claim
+    if (!state.isGameOver && repetitionCount(state) >= 5) {
+      endGame(state, 'draw', TERMINATIONS.FIVEFOLD_REPETITION);
     }
 
+    // 75-move rule is automatic; the 50-move rule only makes a draw claimable
+    if (!state.isGameOver && state.halfMoveClock >= 150) {
+      endGame(state, 'draw', TERMINATIONS.SEVENTY_FIVE_MOVE);
+    }
+
+    record.san = finalNotation;
     state.moveList.push(finalNotation);
 
-    return { notation: finalNotation, captured, inCheck, isGameOver: state.isGameOver, result: state.result };
+    return {
+      notation: finalNotation, captured, inCheck,
+      isGameOver: state.isGameOver, result: state.result, termination: state.termination
+    };
+  }
+
+  // ========== GAME END ==========
+
+  const TERMINATIONS = {
+    CHECKMATE: 'checkmate',
+    RESIGNATION: 'resignation',
+    TIMEOUT: 'timeout',
+    STALEMATE: 'stalemate',
+    INSUFFICIENT_MATERIAL: 'insufficient-material',
+    THREEFOLD_REPETITION: 'threefold-repetition', // claimed
+    FIVEFOLD_REPETITION: 'fivefold-repetition',   // automatic
+    FIFTY_MOVE: 'fifty-move-rule',                // claimed
+    SEVENTY_FIVE_MOVE: 'seventy-five-move-rule',  // automatic
+    AGREEMENT: 'agreement',
+    ABANDONMENT: 'abandonment'
+  };
+
+  // result is 'white', 'black' or 'draw'
+  function endGame(state, result, termination) {
+    state.isGameOver = true;
+    state.result = result;
+    state.termination = termination;
+  }
+
+  // How often the current position has occurred. history[i] holds the hash
+  // from before move i; only positions since the last capture or pawn move
+  // (the half-move clock) and with the same side to move can match.
+  function repetitionCount(state) {
+    const history = state.history;
+    const oldest = Math.max(0, history.length - state.halfMoveClock);
+    let count = 1;
+    for (let i = history.length - 2; i >= oldest; i -= 2) {
+      if (history[i].hashHi === state.hashHi && history[i].hashLo === state.hashLo) count++;
+    }
+    return count;
+  }
+
+  // Draw the side to move may claim right now, or null
+  function getClaimableDraw(state) {
+    if (state.isGameOver) return null;
+    if (repetitionCount(state) >= 3) return TERMINATIONS.THREEFOLD_REPETITION;
+    if (state.halfMoveClock >= 100) return TERMINATIONS.FIFTY_MOVE;
+    return null;
+  }
+
+  function claimDraw(state) {
+    const reason = getClaimableDraw(state);
+    if (!reason) return false;
+    endGame(state, 'draw', reason);
+    return true;
   }
 
   function buildNotation(state, move, piece, captured) {
@@ -518,36 +826,198 @@ const ChessEngine = (() => {
     return false;
   }
 
+  // Take back the last move played with doMove or makeMove
   function undoMove(state) {
-    if (state.history.length === 0) return false;
-    const prev = state.history.pop();
-    state.board = prev.board;
-    state.turn = prev.turn;
-    state.castling = prev.castling;
-    state.enPassant = prev.enPassant;
-    state.halfMoveClock = prev.halfMoveClock;
-    state.fullMoveNumber = prev.fullMoveNumber;
-    state.capturedWhite = prev.capturedWhite;
-    state.capturedBlack = prev.capturedBlack;
-    state.moveList = prev.moveList;
-    state.isGameOver = false;
-    state.result = null;
+    const record = state.history.pop();
+    if (!record) return false;
+    const { move, piece, captured } = record;
+    const board = state.board;
+
+    if (move) {
+      board[move.fromR][move.fromC] = piece;
+      board[move.toR][move.toC] = EMPTY;
+      if (move.castleKing) { board[move.fromR][7] = board[move.fromR][5]; board[move.fromR][5] = EMPTY; }
+      if (move.castleQueen) { board[move.fromR][0] = board[move.fromR][3]; board[move.fromR][3] = EMPTY; }
+    }
+    if (captured) {
+      board[move.enPassant ? move.fromR : move.toR][move.toC] = captured;
+      // The UI may re-sort these lists, so remove by value rather than pop
+      const list = isWhite(captured) ? state.capturedWhite : state.capturedBlack;
+      list.splice(list.lastIndexOf(captured), 1);
+    }
+
+    if (state.turn === 'w') state.fullMoveNumber--;
+    state.turn = state.turn === 'w' ? 'b' : 'w';
+    state.castling = record.castling;
+    state.enPassant = record.enPassant;
+    state.halfMoveClock = record.halfMoveClock;
+    state.hashHi = record.hashHi;
+    state.hashLo = record.hashLo;
+    state.hashEpFile = record.hashEpFile;
+
+    if (record.san !== undefined) state.moveList.pop();
+    state.isGameOver = record.isGameOver;
+    state.result = record.result;
+    state.termination = record.termination;
     return true;
   }
 
+  // ========== SAN / UCI PARSING ==========
+
+  const PROMO_LETTERS = { Q: [WQ, BQ], R: [WR, BR], B: [WB, BB], N: [WN, BN] };
+  const PIECE_LETTERS = { N: [WN, BN], B: [WB, BB], R: [WR, BR], Q: [WQ, BQ], K: [WK, BK] };
+
+  function promotionPieceFor(letter, turn) {
+    return PROMO_LETTERS[letter.toUpperCase()][turn === 'w' ? 0 : 1];
+  }
+
+  // Resolve a SAN string ("Nbd7", "exd8=Q+", "O-O") to a legal move object
+  function moveFromSAN(state, san) {
+    if (typeof san !== 'string') throw new Error('Invalid SAN: expected a string');
+    const clean = san.trim().replace(/(e\.p\.)?[+#!?]*$/, '');
+    const legal = getAllLegalMoves(state);
+
+    if (/^(O-O|0-0)$/.test(clean) || /^(O-O-O|0-0-0)$/.test(clean)) {
+      const queenside = clean.length > 3;
+      const move = legal.find(m => queenside ? m.castleQueen : m.castleKing);
+      if (!move) throw new Error(`Illegal move '${san}': castling ${queenside ? 'queenside' : 'kingside'} is not allowed`);
+      return move;
+    }
+
+    const m = clean.match(/^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([QRBN]))?$/);
+    if (!m) throw new Error(`Invalid SAN '${san}'`);
+    const [, pieceLetter, fromFile, fromRank, capture, target, promo] = m;
+    const to = parseSquare(target);
+    const turnIndex = state.turn === 'w' ? 0 : 1;
+    const piece = pieceLetter ? PIECE_LETTERS[pieceLetter][turnIndex] : (state.turn === 'w' ? WP : BP);
+
+    if (!pieceLetter && fromRank) throw new Error(`Invalid SAN '${san}'`);
+    if (promo && pieceLetter) throw new Error(`Invalid SAN '${san}': only pawns can promote`);
+
+    const candidates = legal.filter(mv =>
+      state.board[mv.fromR][mv.fromC] === piece &&
+      mv.toR === to.row && mv.toC === to.col &&
+      (!fromFile || mv.fromC === fromFile.charCodeAt(0) - 97) &&
+      (!fromRank || mv.fromR === 8 - Number(fromRank)) &&
+      (!capture || mv.capture)
+    );
+
+    if (candidates.length === 0) throw new Error(`Illegal move '${san}' in this position`);
+    if (candidates.length > 1) {
+      const froms = candidates.map(mv => squareName(mv.fromR, mv.fromC)).join(', ');
+      throw new Error(`Ambiguous move '${san}': pieces on ${froms} can all reach ${target}`);
+    }
+
+    const move = { ...candidates[0] };
+    if (move.promotion) {
+      if (!promo) throw new Error(`Invalid SAN '${san}': promotion piece missing`);
+      move.promotionPiece = promotionPieceFor(promo, state.turn);
+    } else if (promo) {
+      throw new Error(`Illegal move '${san}': ${target} is not a promotion square`);
+    }
+    return move;
+  }
+
+  // Resolve a UCI string ("e2e4", "e7e8q") to a legal move object
+  function moveFromUCI(state, uci) {
+    if (typeof uci !== 'string') throw new Error('Invalid UCI move: expected a string');
+    const m = uci.trim().match(/^([a-h][1-8])([a-h][1-8])([qrbn])?$/);
+    if (!m) throw new Error(`Invalid UCI move '${uci}'`);
+    const from = parseSquare(m[1]), to = parseSquare(m[2]);
+
+    const found = getLegalMoves(state, from.row, from.col)
+      .find(mv => mv.toR === to.row && mv.toC === to.col);
+    if (!found || !isAlly(state.board[from.row][from.col], state.turn)) {
+      throw new Error(`Illegal move '${uci}' in this position`);
+    }
+
+    const move = { ...found };
+    if (move.promotion) {
+      if (!m[3]) throw new Error(`Invalid UCI move '${uci}': promotion piece missing`);
+      move.promotionPiece = promotionPieceFor(m[3], state.turn);
+    } else if (m[3]) {
+      throw new Error(`Illegal move '${uci}': ${m[2]} is not a promotion square`);
+    }
+    return move;
+  }
+
+  function moveToUCI(move) {
+    let uci = squareName(move.fromR, move.fromC) + squareName(move.toR, move.toC);
+    if (move.promotionPiece) uci += PIECE_NAMES[move.promotionPiece].toLowerCase();
+    return uci;
+  }
+
+  // ========== PERFT ==========
+  // Counts leaf nodes of the legal move tree; compare against published
+  // results to verify move generation. Each promotion piece counts as a move.
+
+  function expandPromotions(state, move) {
+    if (!move.promotion) return [move];
+    const pieces = state.turn === 'w' ? [WQ, WR, WB, WN] : [BQ, BR, BB, BN];
+    return pieces.map(p => ({ ...move, promotionPiece: p }));
+  }
+
+  function perft(state, depth) {
+    if (depth === 0) return 1;
+    const moves = getAllLegalMoves(state);
+    let nodes = 0;
+    for (const legal of moves) {
+      for (const move of expandPromotions(state, legal)) {
+        if (depth === 1) { nodes++; continue; }
+        doMove(state, move);
+        nodes += perft(state, depth - 1);
+        undoMove(state);
+      }
+    }
+    return nodes;
+  }
+
+  // Per-root-move node counts keyed by UCI move, for tracking down a bad count
+  function perftDivide(state, depth) {
+    const moves = {};
+    let total = 0;
+    for (const legal of getAllLegalMoves(state)) {
+      for (const move of expandPromotions(state, legal)) {
+        doMove(state, move);
+        const nodes = depth > 1 ? perft(state, depth - 1) : 1;
+        undoMove(state);
+        moves[moveToUCI(move)] = nodes;
+        total += nodes;
+      }
+    }
+    return { total, moves };
+  }
+
   // Public API
   return {
     EMPTY, WP, WN, WB, WR, WQ, WK, BP, BN, BB, BR, BQ, BK,
-    PIECE_UNICODE, PIECE_VALUES, PIECE_NAMES,
+    PIECE_UNICODE, PIECE_VALUES, PIECE_NAMES, TERMINATIONS,
     isWhite, isBlack, colorOf, isAlly, isEnemy,
     createGameState,
+    computeHash,
+    hashKey,
+    toFEN,
+    fromFEN,
+    moveFromSAN,
+    moveFromUCI,
+    moveToUCI,
+    perft,
+    perftDivide,
+    squareName,
+    parseSquare,
     cloneBoard,
     getLegalMoves,
     getAllLegalMoves,
     makeMove,
+    doMove,
+    doNullMove,
     undoMove,
+    endGame,
+    repetitionCount,
+    getClaimableDraw,
+    claimDraw,
     isInCheck,
     findKing,
     isSquareAttacked
   };
-})();
+});
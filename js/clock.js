@@ -0,0 +1,206 @@
+/* ============================================
+   CLOCK — time controls and chess clocks
+   Base time, Fischer increment, Bronstein or
+   simple delay, per-side time odds and
+   untimed games; clocks that measure each
+   turn from timestamps, charge the move and
+   format the time left.
+   ============================================ */
+
+// CommonJS module in Node and bundlers, a global in <script> and workers
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChessClock = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+
+  // ========== TIME CONTROLS ==========
+  // A time control, all times in seconds:
+  //   base       starting time for each side
+  //   increment  Fischer increment, added after every move
+  //   delay      free time per move, counted per delayMode:
+  //              'bronstein' — time used up to the delay is given back
+  //                            after the move
+  //              'simple'    — the clock only starts once the delay is over
+  //   odds       optional { w, b } starting times replacing base per side
+  // null is an untimed game.
+
+  function createTimeControl({ base = 600, increment = 0, delay = 0, delayMode = 'bronstein', odds = null } = {}) {
+    if (!(base > 0)) throw new Error('Time control needs a base time');
+    if (increment < 0 || delay < 0) throw new Error('Increment and delay cannot be negative');
+    if (delayMode !== 'bronstein' && delayMode !== 'simple') throw new Error(`Unknown delay mode: ${delayMode}`);
+    if (odds && !(odds.w > 0 && odds.b > 0)) throw new Error('Time odds need a starting time for both sides');
+    return { base, increment, delay, delayMode, odds: odds ? { w: odds.w, b: odds.b } : null };
+  }
+
+  const PRESETS = [
+    { id: 'untimed', name: 'Untimed', category: 'Casual', timeControl: null },
+    { id: '1+0', name: '1 min', category: 'Bullet', timeControl: createTimeControl({ base: 60 }) },
+    { id: '3+2', name: '3 | 2', category: 'Blitz', timeControl: createTimeControl({ base: 180, increment: 2 }) },
+    { id: '5+0', name: '5 min', category: 'Blitz', timeControl: createTimeControl({ base: 300 }) },
+    { id: '10+0', name: '10 min', category: 'Rapid', timeControl: createTimeControl({ base: 600 }) },
+    { id: '15+10', name: '15 | 10', category: 'Rapid', timeControl: createTimeControl({ base: 900, increment: 10 }) },
+    { id: '15+0', name: '15 min', category: 'Rapid', timeControl: createTimeControl({ base: 900 }) },
+    { id: '30+0', name: '30 min', category: 'Classical', timeControl: createTimeControl({ base: 1800 }) }
+  ];
+
+  function getPreset(id) {
+    return PRESETS.find(p => p.id === id) || null;
+  }
+
+  function startingTime(timeControl, color) {
+    return timeControl.odds ? timeControl.odds[color] : timeControl.base;
+  }
+
+  const minutes = seconds => seconds % 60 === 0 ? `${seconds / 60}` : `${Math.round(seconds / 6) / 10}`;
+
+  // "10 min", "3 | 2", "5 min · 3s delay", "5 min vs 3 min"
+  function describeTimeControl(timeControl) {
+    if (!timeControl) return 'Untimed';
+    const { increment, delay, odds } = timeControl;
+    let text = odds
+      ? `${minutes(odds.w)} min vs ${minutes(odds.b)} min`
+      : increment ? `${minutes(timeControl.base)} | ${increment}` : `${minutes(timeControl.base)} min`;
+    if (odds && increment) text += ` | ${increment}`;
+    if (delay) text += ` · ${delay}s ${timeControl.delayMode === 'simple' ? 'simple ' : ''}delay`;
+    return text;
+  }
+
+  // The PGN TimeControl tag: "-" when untimed, otherwise White's base and
+  // increment. The standard has no field for delay or odds.
+  function pgnTimeControl(timeControl) {
+    if (!timeControl) return '-';
+    const base = startingTime(timeControl, 'w');
+    return timeControl.increment ? `${base}+${timeControl.increment}` : `${base}`;
+  }
+
+  // ========== CLOCKS ==========
+  // A clock keeps each side's time in ms at the start of its turn; the
+  // time spent on the current turn is passed in as `elapsed` (ms).
+
+  function createClock(timeControl) {
+    return {
+      timeControl,
+      remaining: timeControl
+        ? { w: startingTime(timeControl, 'w') * 1000, b: startingTime(timeControl, 'b') * 1000 }
+        : { w: Infinity, b: Infinity },
+      turnStartedAt: null, // timestamp the running turn was last resumed at
+      pausedElapsed: 0     // time used on the turn before that
+    };
+  }
+
+  // Time charged for a turn once the delay is taken off
+  function charge(timeControl, elapsed) {
+    return Math.max(0, elapsed - timeControl.delay * 1000);
+  }
+
+  // What the side's clock shows `elapsed` ms into its turn. A simple delay
+  // holds the clock still; a Bronstein delay lets it run and gives the
+  // time back after the move.
+  function timeLeft(clock, color, elapsed = 0) {
+    const { timeControl } = clock;
+    if (!timeControl) return Infinity;
+    const used = timeControl.delayMode === 'simple' ? charge(timeControl, elapsed) : elapsed;
+    return Math.max(0, clock.remaining[color] - used);
+  }
+
+  // Whether the side has run out of time `elapsed` ms into its turn
+  function isFlagged(clock, color, elapsed) {
+    return Boolean(clock.timeControl) && timeLeft(clock, color, elapsed) <= 0;
+  }
+
+  // Charge a finished turn and add the increment; returns the side's new time
+  function completeMove(clock, color, elapsed) {
+    const { timeControl } = clock;
+    if (!timeControl) return Infinity;
+    clock.remaining[color] = Math.max(0, clock.remaining[color] - charge(timeControl, elapsed)) +
+      timeControl.increment * 1000;
+    return clock.remaining[color];
+  }
+
+  // ========== RUNNING ==========
+  // Turns are measured between timestamps (ms, e.g. performance.now()),
+  // not counted in ticks, so a throttled timer only delays the display.
+
+  function startTurn(clock, now) {
+    clock.turnStartedAt = now;
+    clock.pausedElapsed = 0;
+  }
+
+  function elapsed(clock, now) {
+    return clock.pausedElapsed + (clock.turnStartedAt === null ? 0 : now - clock.turnStartedAt);
+  }
+
+  function pauseClock(clock, now) {
+    clock.pausedElapsed = elapsed(clock, now);
+    clock.turnStartedAt = null;
+  }
+
+  function resumeClock(clock, now) {
+    if (clock.turnStartedAt === null) clock.turnStartedAt = now;
+  }
+
+  // End the mover's turn and start the other side's; returns the time the
+  // move took
+  function pressClock(clock, color, now) {
+    const spent = elapsed(clock, now);
+    completeMove(clock, color, spent);
+    startTurn(clock, now);
+    return spent;
+  }
+
+  // ========== FORMATTING ==========
+
+  // "1:05:00", "9:58", and tenths under ten seconds: "0:09.4"
+  function formatClock(ms) {
+    if (ms === Infinity) return '∞';
+    if (ms < 10000) {
+      const tenths = Math.floor(ms / 100);
+      return `0:0${Math.floor(tenths / 10)}.${tenths % 10}`;
+    }
+    const total = Math.ceil(ms / 1000);
+    const h = Math.floor(total / 3600), m = Math.floor(total / 60) % 60, s = total % 60;
+    const mm = h ? String(m).padStart(2, '0') : String(m);
+    return (h ? `${h}:` : '') + `${mm}:${String(s).padStart(2, '0')}`;
+  }
+
+  // Time a move took: "0.8s", "42s", "1:05"
+  function formatMoveTime(ms) {
+    if (ms < 10000) return `${(Math.floor(ms / 100) / 10).toFixed(1)}s`;
+    if (ms < 60000) return `${Math.floor(ms / 1000)}s`;
+    const s = Math.floor(ms / 1000);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  // The PGN [%clk] command for the time left after a move: "[%clk 0:09:58]",
+  // with tenths under ten seconds
+  function pgnClock(ms) {
+    const tenths = Math.floor(ms / 100);
+    const s = Math.floor(tenths / 10);
+    const time = `${Math.floor(s / 3600)}:${String(Math.floor(s / 60) % 60).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+    return `[%clk ${time}${ms < 10000 ? '.' + (tenths % 10) : ''}]`;
+  }
+
+  return {
+    PRESETS,
+    createTimeControl,
+    getPreset,
+    startingTime,
+    describeTimeControl,
+    pgnTimeControl,
+    createClock,
+    timeLeft,
+    isFlagged,
+    completeMove,
+    startTurn,
+    elapsed,
+    pauseClock,
+    resumeClock,
+    pressClock,
+    formatClock,
+    formatMoveTime,
+    pgnClock
+  };
+});
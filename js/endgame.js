@@ -0,0 +1,267 @@
+/* ============================================
+   ENDGAME KNOWLEDGE — exact and heuristic
+   KPK bitbase generated by retrograde analysis
+   on first use, recognizers for known draws
+   (bare minors, wrong-colored bishop with a
+   rook pawn) and mop-up terms that drive the
+   lone king to the edge in won endings.
+   ============================================ */
+
+// CommonJS module in Node and bundlers, a global in <script> and workers
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./chess-engine.js'));
+  } else {
+    root.ChessEndgame = factory(root.ChessEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, (ChessEngine) => {
+
+  const { WP, WN, WB, WR, WQ, WK, BP, BN, BB, BR, BQ, BK, PIECE_VALUES } = ChessEngine;
+
+  // Squares here are 0–63 from a1 (rank * 8 + file); board rows are
+  // converted with rank = 7 - r.
+  const fileOf = sq => sq & 7;
+  const rankOf = sq => sq >> 3;
+  const distance = (a, b) => Math.max(Math.abs(fileOf(a) - fileOf(b)), Math.abs(rankOf(a) - rankOf(b)));
+
+  const KING_STEPS = [];
+  for (let sq = 0; sq < 64; sq++) {
+    KING_STEPS.push([]);
+    for (let to = 0; to < 64; to++) {
+      if (to !== sq && distance(sq, to) === 1) KING_STEPS[sq].push(to);
+    }
+  }
+
+  // ========== KPK BITBASE ==========
+  // Every K+P vs K position with the pawn on files a–d (the rest mirror),
+  // indexed by side to move, pawn, strong king and weak king. The pawn's
+  // side is called white; positions with a black pawn are flipped.
+
+  const UNKNOWN = 0, WIN = 1, DRAW = 2, INVALID = 3;
+  const KPK_SIZE = 2 * 24 * 64 * 64;
+  let kpk = null;
+
+  function kpkIndex(stm, wk, bk, psq) {
+    const pawn = (rankOf(psq) - 1) * 4 + fileOf(psq);
+    return ((stm * 24 + pawn) * 64 + wk) * 64 + bk;
+  }
+
+  function pawnAttacks(psq, sq) {
+    return rankOf(sq) === rankOf(psq) + 1 && Math.abs(fileOf(sq) - fileOf(psq)) === 1;
+  }
+
+  function classify(stm, wk, bk, psq) {
+    if (wk === bk || wk === psq || bk === psq || distance(wk, bk) <= 1) return INVALID;
+    if (stm === 0) {
+      if (pawnAttacks(psq, bk)) return INVALID;
+      // The pawn promotes and the new queen can't be taken
+      const promo = psq + 8;
+      if (rankOf(psq) === 6 && wk !== promo && bk !== promo &&
+          (distance(bk, promo) > 1 || distance(wk, promo) === 1)) return WIN;
+      return UNKNOWN;
+    }
+
+    // Weak king takes an unprotected pawn
+    if (distance(bk, psq) === 1 && distance(wk, psq) > 1) return DRAW;
+    const escapes = KING_STEPS[bk].filter(s => distance(s, wk) > 1 && !pawnAttacks(psq, s) && s !== psq);
+    if (escapes.length === 0) return pawnAttacks(psq, bk) ? WIN : DRAW;
+    return UNKNOWN;
+  }
+
+  // One retrograde step for an unresolved position: the side to move
+  // picks its best outcome among the successors
+  function resolve(table, stm, wk, bk, psq) {
+    if (stm === 0) {
+      let allDraw = true;
+      const consider = (index) => {
+        const r = table[index];
+        if (r === WIN) return true;
+        if (r !== DRAW) allDraw = false;
+        return false;
+      };
+      for (const s of KING_STEPS[wk]) {
+        if (s === psq || distance(s, bk) <= 1) continue;
+        if (consider(kpkIndex(1, s, bk, psq))) return WIN;
+      }
+      const push = psq + 8;
+      if (rankOf(psq) < 6 && push !== wk && push !== bk) {
+        if (consider(kpkIndex(1, wk, bk, push))) return WIN;
+        const double = push + 8;
+        if (rankOf(psq) === 1 && double !== wk && double !== bk) {
+          if (consider(kpkIndex(1, wk, bk, double))) return WIN;
+        }
+      }
+      return allDraw ? DRAW : UNKNOWN;
+    }
+
+    let allWin = true;
+    for (const s of KING_STEPS[bk]) {
+      if (s === psq || distance(s, wk) <= 1 || pawnAttacks(psq, s)) continue;
+      const r = table[kpkIndex(0, wk, s, psq)];
+      if (r === DRAW) return DRAW;
+      if (r !== WIN) allWin = false;
+    }
+    return allWin ? WIN : UNKNOWN;
+  }
+
+  function generateKPK() {
+    const table = new Uint8Array(KPK_SIZE);
+    const each = (fn) => {
+      for (let stm = 0; stm < 2; stm++) {
+        for (let p = 0; p < 24; p++) {
+          const psq = ((p >> 2) + 1) * 8 + (p & 3);
+          for (let wk = 0; wk < 64; wk++) {
+            for (let bk = 0; bk < 64; bk++) fn(stm, wk, bk, psq, kpkIndex(stm, wk, bk, psq));
+          }
+        }
+      }
+    };
+
+    each((stm, wk, bk, psq, i) => { table[i] = classify(stm, wk, bk, psq); });
+    let changed = true;
+    while (changed) {
+      changed = false;
+      each((stm, wk, bk, psq, i) => {
+        if (table[i] !== UNKNOWN) return;
+        const r = resolve(table, stm, wk, bk, psq);
+        if (r !== UNKNOWN) { table[i] = r; changed = true; }
+      });
+    }
+    // Nothing forces a promotion from what is left
+    each((stm, wk, bk, psq, i) => { if (table[i] === UNKNOWN) table[i] = DRAW; });
+    return table;
+  }
+
+  // Whether the side with the pawn wins. strongKing, weakKing and pawn
+  // are squares; pawnWhite and whiteToMove describe the position.
+  function probeKPK(strongKing, weakKing, pawn, pawnWhite, whiteToMove) {
+    if (!kpk) kpk = generateKPK();
+    let wk = strongKing, bk = weakKing, psq = pawn;
+    let stm = whiteToMove ? 0 : 1;
+    if (!pawnWhite) {
+      wk ^= 56; bk ^= 56; psq ^= 56;
+      stm ^= 1;
+    }
+    if (fileOf(psq) > 3) { wk ^= 7; bk ^= 7; psq ^= 7; }
+    return kpk[kpkIndex(stm, wk, bk, psq)] === WIN;
+  }
+
+  // ========== MATERIAL ==========
+
+  // Pieces of each side as squares, for the recognizers below
+  function collectPieces(state) {
+    const pieces = {};
+    for (let p = WP; p <= BK; p++) pieces[p] = [];
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        const p = state.board[r][c];
+        if (p) pieces[p].push((7 - r) * 8 + c);
+      }
+    }
+    return pieces;
+  }
+
+  function sideMaterial(pieces, white) {
+    const kinds = white ? [WN, WB, WR, WQ] : [BN, BB, BR, BQ];
+    return kinds.reduce((sum, p) => sum + pieces[p].length * PIECE_VALUES[p], 0);
+  }
+
+  function squareColor(sq) {
+    return (fileOf(sq) + rankOf(sq)) & 1;
+  }
+
+  // ========== KNOWN DRAWS ==========
+
+  // Bishop and rook pawns against a bare king that holds the promotion
+  // corner, when the bishop can't cover that corner
+  function isWrongBishopDraw(pieces, white) {
+    const [pawn, bishop, others] = white ? [WP, WB, [WN, WR, WQ]] : [BP, BB, [BN, BR, BQ]];
+    if (pieces[bishop].length !== 1 || pieces[pawn].length === 0) return false;
+    if (others.some(p => pieces[p].length)) return false;
+
+    const file = fileOf(pieces[pawn][0]);
+    if (file !== 0 && file !== 7) return false;
+    if (pieces[pawn].some(sq => fileOf(sq) !== file)) return false;
+
+    const corner = white ? 56 + file : file;
+    if (squareColor(pieces[bishop][0]) === squareColor(corner)) return false;
+    const weakKing = pieces[white ? BK : WK][0];
+    return distance(weakKing, corner) <= 1;
+  }
+
+  function isBare(pieces, white) {
+    const kinds = white ? [WP, WN, WB, WR, WQ] : [BP, BN, BB, BR, BQ];
+    return kinds.every(p => pieces[p].length === 0);
+  }
+
+  // ========== EVALUATION ==========
+
+  // Score (White's view) for endgames known exactly, or null. Draws are
+  // 0, except that a drawn KPK still favors keeping the pawn; a won KPK
+  // is worth most of a queen so the pawn still wants to promote.
+  function evaluate(state) {
+    const pieces = collectPieces(state);
+    const whitePawns = pieces[WP].length, blackPawns = pieces[BP].length;
+    const whiteMaterial = sideMaterial(pieces, true);
+    const blackMaterial = sideMaterial(pieces, false);
+
+    // Neither side can force mate with at most a minor piece and no pawns
+    if (whitePawns + blackPawns === 0 && whiteMaterial <= PIECE_VALUES[WB] && blackMaterial <= PIECE_VALUES[BB]) {
+      return 0;
+    }
+
+    // K+P vs K
+    if (whitePawns + blackPawns === 1 && whiteMaterial + blackMaterial === 0) {
+      const pawnWhite = whitePawns === 1;
+      const pawn = pawnWhite ? pieces[WP][0] : pieces[BP][0];
+      const strongKing = pieces[pawnWhite ? WK : BK][0];
+      const weakKing = pieces[pawnWhite ? BK : WK][0];
+      if (!probeKPK(strongKing, weakKing, pawn, pawnWhite, state.turn === 'w')) return pawnWhite ? 10 : -10;
+      const promo = pawnWhite ? 56 + fileOf(pawn) : fileOf(pawn);
+      const advance = pawnWhite ? rankOf(pawn) : 7 - rankOf(pawn);
+      const score = 700 + advance * 20 - distance(strongKing, promo) * 5;
+      return pawnWhite ? score : -score;
+    }
+
+    if (isBare(pieces, false) && isWrongBishopDraw(pieces, true)) return 0;
+    if (isBare(pieces, true) && isWrongBishopDraw(pieces, false)) return 0;
+    return null;
+  }
+
+  // Bonus (White's view) for driving the weaker king to the edge and
+  // bringing the stronger king closer, when one side is at least a rook
+  // up and the other has no pawns. With bishop and knight the target is
+  // a corner of the bishop's color.
+  function mopUp(state) {
+    const pieces = collectPieces(state);
+    const whiteMaterial = sideMaterial(pieces, true) + pieces[WP].length * PIECE_VALUES[WP];
+    const blackMaterial = sideMaterial(pieces, false) + pieces[BP].length * PIECE_VALUES[BP];
+
+    let white;
+    if (whiteMaterial - blackMaterial >= PIECE_VALUES[WR] && pieces[BP].length === 0) white = true;
+    else if (blackMaterial - whiteMaterial >= PIECE_VALUES[BR] && pieces[WP].length === 0) white = false;
+    else return 0;
+
+    const strongKing = pieces[white ? WK : BK][0];
+    const weakKing = pieces[white ? BK : WK][0];
+    if (strongKing === undefined || weakKing === undefined) return 0;
+
+    let edge;
+    const bishops = pieces[white ? WB : BB];
+    const onlyBishopKnight = bishops.length === 1 && pieces[white ? WN : BN].length === 1 &&
+      [WR, WQ, BR, BQ, WP, BP].every(p => pieces[p].length === 0);
+    if (onlyBishopKnight) {
+      const corners = squareColor(bishops[0]) === squareColor(0) ? [0, 63] : [7, 56];
+      edge = 7 - Math.min(...corners.map(c => distance(weakKing, c)));
+    } else {
+      const f = fileOf(weakKing), r = rankOf(weakKing);
+      edge = Math.max(3 - f, f - 4) + Math.max(3 - r, r - 4);
+    }
+    const kingsApart = Math.abs(fileOf(strongKing) - fileOf(weakKing)) + Math.abs(rankOf(strongKing) - rankOf(weakKing));
+
+    const bonus = edge * 15 + (14 - kingsApart) * 5;
+    return white ? bonus : -bonus;
+  }
+
+  return { evaluate, mopUp, probeKPK };
+});
@@ -0,0 +1,296 @@
+/* ============================================
+   PGN — Portable Game Notation
+   Export: Seven Tag Roster, time control,
+   termination, result token and wrapped
+   movetext.
+   Import: tags, comments, NAGs, variations
+   and multi-game files, replayed through
+   ChessEngine.makeMove.
+   Board markup: [%csl] and [%cal] comment
+   commands for highlights and arrows.
+   ============================================ */
+
+// CommonJS module in Node and bundlers, a global in <script> and workers
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./chess-engine.js'));
+  } else {
+    root.ChessPGN = factory(root.ChessEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, (ChessEngine) => {
+
+  const ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+  const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+  // Suffix annotations and their standard NAG numbers
+  const GLYPH_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+  // Engine termination reasons mapped to the PGN standard Termination values
+  const TERMINATION_TAGS = {
+    timeout: 'time forfeit',
+    abandonment: 'abandoned'
+  };
+
+  function terminationTag(state) {
+    if (!state.isGameOver) return 'unterminated';
+    return TERMINATION_TAGS[state.termination] || 'normal';
+  }
+
+  function resultToken(state) {
+    if (!state.isGameOver) return '*';
+    if (state.result === 'white') return '1-0';
+    if (state.result === 'black') return '0-1';
+    return '1/2-1/2';
+  }
+
+  function formatDate(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}.${m}.${d}`;
+  }
+
+  function escapeTag(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+
+  // ========== EXPORT ==========
+
+  // options.headers — extra or overriding tags
+  // options.date — when the game was played (defaults to today)
+  // options.comments — comment text per ply index (0 = first move played)
+  function exportPGN(state, options = {}) {
+    const result = resultToken(state);
+    const headers = {
+      Event: 'Casual Game',
+      Site: 'ChessMaster',
+      Date: formatDate(options.date || new Date()),
+      Round: '-',
+      White: '?',
+      Black: '?',
+      ...options.headers,
+      Result: result,
+      Termination: terminationTag(state)
+    };
+    if (state.startFen) {
+      headers.SetUp = '1';
+      headers.FEN = state.startFen;
+    }
+
+    const tagLines = [
+      ...ROSTER.map(key => `[${key} "${escapeTag(headers[key])}"]`),
+      ...Object.keys(headers)
+        .filter(key => !ROSTER.includes(key) && headers[key] !== undefined && headers[key] !== null)
+        .map(key => `[${key} "${escapeTag(headers[key])}"]`)
+    ];
+
+    // Movetext starts from the set-up position's move number and side
+    let moveNumber = 1, blackToMove = false;
+    if (state.startFen) {
+      const fields = state.startFen.split(' ');
+      blackToMove = fields[1] === 'b';
+      moveNumber = Number(fields[5]) || 1;
+    }
+
+    const tokens = [];
+    const comments = options.comments || [];
+    state.moveList.forEach((san, ply) => {
+      if (!blackToMove) tokens.push(`${moveNumber}.`);
+      else if (ply === 0) tokens.push(`${moveNumber}...`);
+      tokens.push(san);
+      if (comments[ply]) tokens.push(`{${comments[ply].replace(/}/g, ')')}}`);
+      if (blackToMove) moveNumber++;
+      blackToMove = !blackToMove;
+    });
+    tokens.push(result);
+
+    return tagLines.join('\n') + '\n\n' + wrapMovetext(tokens) + '\n';
+  }
+
+  // Export format keeps movetext lines under 80 characters
+  function wrapMovetext(tokens) {
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+      if (line && line.length + 1 + token.length > 79) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? line + ' ' + token : token;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+  }
+
+  // ========== IMPORT ==========
+
+  function tokenize(text) {
+    const tokens = [];
+    const re = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]|\{([^}]*)\}|;([^\n]*)|\$(\d+)|(\()|(\))|(1-0|0-1|1\/2-1\/2|\*)|(\d+)\.+|([!?]{1,2})|([^\s{}();[\]$]+)/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (m[1] !== undefined) tokens.push({ type: 'tag', key: m[1], value: m[2].replace(/\\(.)/g, '$1') });
+      else if (m[3] !== undefined) tokens.push({ type: 'comment', text: m[3].trim() });
+      else if (m[4] !== undefined) tokens.push({ type: 'comment', text: m[4].trim() });
+      else if (m[5] !== undefined) tokens.push({ type: 'nag', nag: Number(m[5]) });
+      else if (m[6]) tokens.push({ type: 'open' });
+      else if (m[7]) tokens.push({ type: 'close' });
+      else if (m[8]) tokens.push({ type: 'result', result: m[8] });
+      else if (m[9]) continue; // move number
+      else if (m[10]) tokens.push({ type: 'nag', nag: GLYPH_NAGS[m[10]] });
+      else tokens.push({ type: 'san', san: m[11] });
+    }
+    return tokens;
+  }
+
+  // Split SAN from attached glyphs like "Nf3!?" or "e4?"
+  function splitGlyphs(token) {
+    const m = token.match(/^(.*?)([!?]{1,2})?$/);
+    return { san: m[1], nag: m[2] ? GLYPH_NAGS[m[2]] : null };
+  }
+
+  // Parse movetext tokens into a node list, replaying each move on
+  // `state`. A variation is replayed from the position before the move
+  // it replaces and unwound again once its closing ')' is reached.
+  function parseMoves(tokens, pos, state, ply, gameIndex, isVariation) {
+    const nodes = [];
+    let last = null;
+    let leadingComment = null;
+
+    while (pos.i < tokens.length) {
+      const tok = tokens[pos.i];
+      if (tok.type === 'close' || tok.type === 'result' || tok.type === 'tag') break;
+      pos.i++;
+
+      if (tok.type === 'comment') {
+        if (last) last.comment = last.comment ? last.comment + ' ' + tok.text : tok.text;
+        else leadingComment = leadingComment ? leadingComment + ' ' + tok.text : tok.text;
+      } else if (tok.type === 'nag') {
+        if (last && tok.nag) last.nags.push(tok.nag);
+      } else if (tok.type === 'open') {
+        if (!last) throw new Error(`PGN game ${gameIndex}: variation before any move`);
+        ChessEngine.undoMove(state);
+        last.variations.push(parseMoves(tokens, pos, state, ply - 1, gameIndex, true));
+        if (!tokens[pos.i] || tokens[pos.i].type !== 'close') {
+          throw new Error(`PGN game ${gameIndex}: unterminated variation`);
+        }
+        pos.i++;
+        ChessEngine.makeMove(state, last.move);
+      } else if (tok.type === 'san') {
+        const { san, nag } = splitGlyphs(tok.san);
+        let move;
+        try {
+          move = ChessEngine.moveFromSAN(state, san);
+        } catch (err) {
+          throw new Error(`PGN game ${gameIndex}, ply ${ply + 1}: ${err.message}`);
+        }
+        const played = ChessEngine.makeMove(state, move);
+        last = { san: played.notation, move, nags: nag ? [nag] : [], comment: null, variations: [] };
+        if (leadingComment) { last.preComment = leadingComment; leadingComment = null; }
+        nodes.push(last);
+        ply++;
+      }
+    }
+
+    if (isVariation) {
+      for (let i = 0; i < nodes.length; i++) ChessEngine.undoMove(state);
+    }
+    return nodes;
+  }
+
+  function parseGame(tokens, pos, gameIndex) {
+    const headers = {};
+    while (pos.i < tokens.length && tokens[pos.i].type === 'tag') {
+      headers[tokens[pos.i].key] = tokens[pos.i].value;
+      pos.i++;
+    }
+
+    let state;
+    if (headers.FEN) {
+      try {
+        state = ChessEngine.fromFEN(headers.FEN);
+      } catch (err) {
+        throw new Error(`PGN game ${gameIndex}: ${err.message}`);
+      }
+    } else {
+      state = ChessEngine.createGameState();
+    }
+
+    // Comments before the first move belong to the game
+    let comment = null;
+    while (pos.i < tokens.length && tokens[pos.i].type === 'comment') {
+      comment = comment ? comment + ' ' + tokens[pos.i].text : tokens[pos.i].text;
+      pos.i++;
+    }
+
+    const moves = parseMoves(tokens, pos, state, 0, gameIndex, false);
+
+    let result = headers.Result && RESULT_TOKENS.includes(headers.Result) ? headers.Result : '*';
+    if (pos.i < tokens.length && tokens[pos.i].type === 'result') {
+      result = tokens[pos.i].result;
+      pos.i++;
+    } else if (pos.i < tokens.length && tokens[pos.i].type === 'close') {
+      throw new Error(`PGN game ${gameIndex}: unmatched ')'`);
+    }
+
+    // Results the rules can't see (resignation, time, agreement) come from the tags
+    if (!state.isGameOver && result !== '*') {
+      const { TERMINATIONS } = ChessEngine;
+      const tag = (headers.Termination || '').toLowerCase();
+      const winner = result === '1-0' ? 'white' : result === '0-1' ? 'black' : 'draw';
+      const termination = tag === 'time forfeit' ? TERMINATIONS.TIMEOUT
+        : tag === 'abandoned' ? TERMINATIONS.ABANDONMENT
+        : winner === 'draw' ? TERMINATIONS.AGREEMENT
+        : TERMINATIONS.RESIGNATION;
+      ChessEngine.endGame(state, winner, termination);
+    }
+
+    return { headers, comment, moves, result, state };
+  }
+
+  function parsePGN(text) {
+    const tokens = tokenize(String(text).replace(/\r\n?/g, '\n'));
+    const games = [];
+    const pos = { i: 0 };
+    while (pos.i < tokens.length) {
+      const start = pos.i;
+      games.push(parseGame(tokens, pos, games.length + 1));
+      if (pos.i === start) pos.i++; // skip a stray token rather than loop forever
+    }
+    return games;
+  }
+
+  // ========== BOARD MARKUP ==========
+  // Highlighted squares and arrows travel in comments as [%csl Gd4] and
+  // [%cal Ge2e4,Rd8h4]; the letter is the color (green, red, blue, yellow).
+  // marks: { squares: [{ square, color }], arrows: [{ from, to, color }] }
+
+  function formatMarks(marks) {
+    const commands = [];
+    if (marks.squares.length) {
+      commands.push(`[%csl ${marks.squares.map(m => m.color + m.square).join(',')}]`);
+    }
+    if (marks.arrows.length) {
+      commands.push(`[%cal ${marks.arrows.map(m => m.color + m.from + m.to).join(',')}]`);
+    }
+    return commands.join(' ');
+  }
+
+  // Split a comment into its markup and the remaining text
+  function parseMarks(comment) {
+    const marks = { squares: [], arrows: [] };
+    const text = String(comment).replace(/\[%(csl|cal)\s+([^\]]*)\]/g, (all, command, list) => {
+      for (const item of list.split(',')) {
+        const m = item.trim().match(/^([GRBY])([a-h][1-8])([a-h][1-8])?$/);
+        if (!m) continue;
+        if (command === 'csl' && !m[3]) marks.squares.push({ square: m[2], color: m[1] });
+        if (command === 'cal' && m[3]) marks.arrows.push({ from: m[2], to: m[3], color: m[1] });
+      }
+      return '';
+    }).replace(/\s+/g, ' ').trim();
+    return { text, marks };
+  }
+
+  return { exportPGN, parsePGN, resultToken, formatMarks, parseMarks };
+});
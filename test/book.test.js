@@ -0,0 +1,53 @@
+// Opening book lookups and Polyglot import
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+const ChessBook = require('../js/book.js');
+
+// A Polyglot .bin with one entry per [fen, from, to, weight]
+function polyglotBuffer(entries) {
+  const view = new DataView(new ArrayBuffer(entries.length * 16));
+  entries.forEach(([fen, from, to, weight], i) => {
+    const key = ChessBook.polyglotKey(ChessEngine.fromFEN(fen));
+    const square = name => (Number(name[1]) - 1) * 8 + name.charCodeAt(0) - 97;
+    view.setUint32(i * 16, parseInt(key.slice(0, 8), 16));
+    view.setUint32(i * 16 + 4, parseInt(key.slice(8), 16));
+    view.setUint16(i * 16 + 8, (square(from) << 6) | square(to));
+    view.setUint16(i * 16 + 10, weight);
+  });
+  return view.buffer;
+}
+
+const bookMoves = (book, fen) =>
+  ChessBook.getBookMoves(book, ChessEngine.fromFEN(fen)).map(({ move }) => ChessEngine.moveToUCI(move));
+
+test('the start position has book moves', () => {
+  const moves = bookMoves(ChessBook.getDefaultBook(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+  assert.ok(moves.includes('e2e4'));
+  assert.ok(moves.includes('d2d4'));
+});
+
+test('Polyglot king-takes-rook moves are castling', () => {
+  const white = 'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w KQkq - 0 1';
+  const black = 'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R b KQkq - 0 1';
+  const book = ChessBook.fromPolyglot(polyglotBuffer([
+    [white, 'e1', 'h1', 2], [white, 'e1', 'a1', 1],
+    [black, 'e8', 'h8', 1]
+  ]));
+  assert.deepEqual(bookMoves(book, white), ['e1g1', 'e1c1']);
+  assert.deepEqual(bookMoves(book, black), ['e8g8']);
+});
+
+test('a rook or queen moving e1-h1 is not castling', () => {
+  const rook = 'k7/8/8/8/8/8/2K5/4R3 w - - 0 1';
+  const queen = '4q3/7k/8/8/8/8/8/K7 b - - 0 1';
+  const book = ChessBook.fromPolyglot(polyglotBuffer([[rook, 'e1', 'h1', 1], [queen, 'e8', 'a8', 1]]));
+  assert.deepEqual(bookMoves(book, rook), ['e1h1']);
+  assert.deepEqual(bookMoves(book, queen), ['e8a8']);
+});
+
+test('the opening a game starts with is named', () => {
+  assert.equal(ChessBook.identifyOpening(['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Bc5']), 'Italian Game');
+  assert.equal(ChessBook.identifyOpening(['e4', 'e5', 'Nf3']), 'Open Game');
+  assert.equal(ChessBook.identifyOpening(['g3']), null);
+});
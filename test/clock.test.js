@@ -0,0 +1,93 @@
+// Clocks are driven by timestamps passed in, so the tests set the time
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessClock = require('../js/clock.js');
+
+test('a Fischer increment is added after every move', () => {
+  const clock = ChessClock.createClock(ChessClock.createTimeControl({ base: 180, increment: 2 }));
+  ChessClock.startTurn(clock, 1000);
+  assert.equal(ChessClock.pressClock(clock, 'w', 6000), 5000);
+  assert.equal(clock.remaining.w, 177000);
+  assert.equal(ChessClock.pressClock(clock, 'b', 6500), 500);
+  assert.equal(clock.remaining.b, 181500);
+  assert.equal(clock.turnStartedAt, 6500);
+});
+
+test('a Bronstein delay runs the clock and gives back up to the delay', () => {
+  const clock = ChessClock.createClock(ChessClock.createTimeControl({ base: 300, delay: 3 }));
+  assert.equal(ChessClock.timeLeft(clock, 'w', 2000), 298000);
+  assert.equal(ChessClock.completeMove(clock, 'w', 2000), 300000);
+  assert.equal(ChessClock.completeMove(clock, 'b', 5000), 298000);
+});
+
+test('a simple delay holds the clock until the delay is over', () => {
+  const clock = ChessClock.createClock(ChessClock.createTimeControl({ base: 300, delay: 3, delayMode: 'simple' }));
+  assert.equal(ChessClock.timeLeft(clock, 'w', 2000), 300000);
+  assert.equal(ChessClock.timeLeft(clock, 'w', 5000), 298000);
+  assert.equal(ChessClock.completeMove(clock, 'w', 5000), 298000);
+});
+
+test('time odds give each side its own starting time', () => {
+  const timeControl = ChessClock.createTimeControl({ base: 300, odds: { w: 300, b: 180 } });
+  const clock = ChessClock.createClock(timeControl);
+  assert.deepEqual(clock.remaining, { w: 300000, b: 180000 });
+  assert.equal(ChessClock.describeTimeControl(timeControl), '5 min vs 3 min');
+  assert.equal(ChessClock.pgnTimeControl(timeControl), '300');
+  assert.throws(() => ChessClock.createTimeControl({ odds: { w: 300 } }), /both sides/);
+});
+
+test('a side is flagged once its time is used up', () => {
+  const clock = ChessClock.createClock(ChessClock.createTimeControl({ base: 60 }));
+  ChessClock.startTurn(clock, 0);
+  assert.equal(ChessClock.isFlagged(clock, 'w', ChessClock.elapsed(clock, 59999)), false);
+  assert.equal(ChessClock.isFlagged(clock, 'w', ChessClock.elapsed(clock, 60000)), true);
+  assert.equal(ChessClock.timeLeft(clock, 'w', 90000), 0);
+
+  const untimed = ChessClock.createClock(null);
+  assert.equal(ChessClock.isFlagged(untimed, 'w', 1e9), false);
+  assert.equal(ChessClock.timeLeft(untimed, 'w', 1e9), Infinity);
+});
+
+test('a paused turn keeps the time already used', () => {
+  const clock = ChessClock.createClock(ChessClock.createTimeControl({ base: 60 }));
+  ChessClock.startTurn(clock, 0);
+  ChessClock.pauseClock(clock, 4000);
+  assert.equal(ChessClock.elapsed(clock, 50000), 4000);
+  ChessClock.resumeClock(clock, 50000);
+  ChessClock.resumeClock(clock, 51000);
+  assert.equal(ChessClock.elapsed(clock, 53000), 7000);
+});
+
+test('the clock restarts after an undo out of a finished game', () => {
+  const clock = ChessClock.createClock(ChessClock.createTimeControl({ base: 60 }));
+  ChessClock.startTurn(clock, 0);
+  ChessClock.pressClock(clock, 'w', 10000);
+  const afterMove = clock.remaining.w;
+  // Black flags and the clock stops with the game
+  ChessClock.pauseClock(clock, 70000);
+  assert.equal(ChessClock.isFlagged(clock, 'b', ChessClock.elapsed(clock, 70000)), true);
+
+  // Undoing Black's lost turn restores the times and starts a fresh turn
+  clock.remaining = { w: afterMove, b: 60000 };
+  ChessClock.startTurn(clock, 100000);
+  ChessClock.resumeClock(clock, 100000);
+  assert.equal(ChessClock.elapsed(clock, 105000), 5000);
+  assert.equal(ChessClock.isFlagged(clock, 'b', ChessClock.elapsed(clock, 105000)), false);
+  assert.equal(ChessClock.isFlagged(clock, 'b', ChessClock.elapsed(clock, 160000)), true);
+});
+
+test('clocks, move times and PGN clocks are formatted', () => {
+  assert.equal(ChessClock.formatClock(Infinity), '∞');
+  assert.equal(ChessClock.formatClock(9450), '0:09.4');
+  assert.equal(ChessClock.formatClock(597200), '9:58');
+  assert.equal(ChessClock.formatClock(3900000), '1:05:00');
+  assert.equal(ChessClock.formatMoveTime(840), '0.8s');
+  assert.equal(ChessClock.formatMoveTime(42500), '42s');
+  assert.equal(ChessClock.formatMoveTime(65000), '1:05');
+  assert.equal(ChessClock.pgnClock(598000), '[%clk 0:09:58]');
+  assert.equal(ChessClock.pgnClock(9450), '[%clk 0:00:09.4]');
+  assert.equal(ChessClock.describeTimeControl(ChessClock.getPreset('3+2').timeControl), '3 | 2');
+  assert.equal(ChessClock.describeTimeControl(ChessClock.createTimeControl({ base: 300, delay: 3 })), '5 min · 3s delay');
+  assert.equal(ChessClock.pgnTimeControl(ChessClock.getPreset('3+2').timeControl), '180+2');
+  assert.equal(ChessClock.pgnTimeControl(null), '-');
+});
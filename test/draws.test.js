@@ -0,0 +1,79 @@
+// Claimed and automatic draws keep their own termination reasons
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+
+const { TERMINATIONS } = ChessEngine;
+
+function play(state, moves) {
+  for (const san of moves.split(' ')) ChessEngine.makeMove(state, ChessEngine.moveFromSAN(state, san));
+}
+
+const SHUFFLE = 'Nf3 Nf6 Ng1 Ng8';
+
+test('threefold repetition is claimed, fivefold ends the game', () => {
+  const state = ChessEngine.createGameState();
+  play(state, `${SHUFFLE} ${SHUFFLE}`);
+  assert.equal(state.isGameOver, false);
+  assert.equal(ChessEngine.getClaimableDraw(state), TERMINATIONS.THREEFOLD_REPETITION);
+  assert.equal(ChessEngine.claimDraw(state), true);
+  assert.equal(state.termination, TERMINATIONS.THREEFOLD_REPETITION);
+
+  const automatic = ChessEngine.createGameState();
+  play(automatic, `${SHUFFLE} ${SHUFFLE} ${SHUFFLE} ${SHUFFLE}`);
+  assert.equal(automatic.isGameOver, true);
+  assert.equal(automatic.result, 'draw');
+  assert.equal(automatic.termination, TERMINATIONS.FIVEFOLD_REPETITION);
+});
+
+test('the 50-move rule is claimed, the 75-move rule ends the game', () => {
+  const state = ChessEngine.fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 99 80');
+  play(state, 'Ra2');
+  assert.equal(ChessEngine.getClaimableDraw(state), TERMINATIONS.FIFTY_MOVE);
+  ChessEngine.claimDraw(state);
+  assert.equal(state.termination, TERMINATIONS.FIFTY_MOVE);
+
+  const automatic = ChessEngine.fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 149 80');
+  play(automatic, 'Ra2');
+  assert.equal(automatic.isGameOver, true);
+  assert.equal(automatic.termination, TERMINATIONS.SEVENTY_FIVE_MOVE);
+});
+
+test('a game ended off the board stays ended when moves are queried', () => {
+  for (const [result, termination] of [
+    ['white', TERMINATIONS.RESIGNATION],
+    ['black', TERMINATIONS.TIMEOUT],
+    ['draw', TERMINATIONS.AGREEMENT]
+  ]) {
+    const state = ChessEngine.createGameState();
+    play(state, 'e4 e5');
+    ChessEngine.endGame(state, result, termination);
+    ChessEngine.getAllLegalMoves(state);
+    ChessEngine.moveFromSAN(state, 'Nf3');
+    ChessEngine.moveFromUCI(state, 'g1f3');
+    assert.equal(state.isGameOver, true);
+    assert.equal(state.result, result);
+    assert.equal(state.termination, termination);
+  }
+});
+
+test('a claimed draw survives move queries, and undo reopens the game', () => {
+  const state = ChessEngine.createGameState();
+  play(state, `${SHUFFLE} ${SHUFFLE}`);
+  ChessEngine.claimDraw(state);
+  ChessEngine.getAllLegalMoves(state);
+  assert.equal(state.termination, TERMINATIONS.THREEFOLD_REPETITION);
+
+  // Taking back the last move returns to the game before it ended
+  ChessEngine.undoMove(state);
+  assert.equal(state.isGameOver, false);
+  assert.equal(state.termination, null);
+});
+
+test('a PGN ended by its Termination tag stays ended', () => {
+  const ChessPGN = require('../js/pgn.js');
+  const [game] = ChessPGN.parsePGN('[Result "0-1"]\n[Termination "time forfeit"]\n\n1. e4 e5 0-1');
+  ChessEngine.getAllLegalMoves(game.state);
+  assert.equal(game.state.isGameOver, true);
+  assert.equal(game.state.termination, TERMINATIONS.TIMEOUT);
+});
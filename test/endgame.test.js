@@ -0,0 +1,40 @@
+// KPK bitbase and known draws, scored from White's point of view
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+const ChessEndgame = require('../js/endgame.js');
+
+const score = fen => ChessEndgame.evaluate(ChessEngine.fromFEN(fen));
+
+test('KPK with the king in front of the pawn on the sixth rank is won', () => {
+  assert.ok(score('3k4/8/3K4/3P4/8/8/8/8 w - - 0 1') > 700);
+  assert.ok(score('3k4/8/3K4/3P4/8/8/8/8 b - - 0 1') > 700);
+  // The same position with a black pawn, flipped
+  assert.ok(score('8/8/8/8/3p4/3k4/8/3K4 b - - 0 1') < -700);
+});
+
+test('a rook pawn is drawn once the defending king reaches the corner', () => {
+  assert.equal(score('k7/8/PK6/8/8/8/8/8 w - - 0 1'), 10);
+  assert.equal(score('k7/8/PK6/8/8/8/8/8 b - - 0 1'), 10);
+});
+
+test('the defending king draws by holding the opposition', () => {
+  // White to move can't pass Black's king
+  assert.equal(score('8/4k3/8/4K3/4P3/8/8/8 w - - 0 1'), 10);
+  // With Black to move the opposition is White's and the pawn promotes
+  assert.ok(score('8/4k3/8/4K3/4P3/8/8/8 b - - 0 1') > 700);
+});
+
+test('a won KPK scores higher the further the pawn has advanced', () => {
+  assert.ok(score('2k5/8/3KP3/8/8/8/8/8 w - - 0 1') > score('2k5/8/3K4/4P3/8/8/8/8 w - - 0 1'));
+});
+
+test('insufficient material and the wrong bishop score a draw', () => {
+  assert.equal(score('4k3/8/8/8/8/8/8/4KB2 w - - 0 1'), 0);
+  assert.equal(score('4k3/8/8/2n5/8/8/8/4KB2 b - - 0 1'), 0);
+  assert.equal(score('4k3/8/8/8/8/8/8/4K3 w - - 0 1'), 0);
+  // A rook pawn whose bishop can't cover the corner the king holds
+  assert.equal(score('k7/8/8/P7/8/8/8/2B1K3 w - - 0 1'), 0);
+  // Mating material is left to the search
+  assert.equal(score('4k3/8/8/8/8/8/8/3RK3 w - - 0 1'), null);
+});
@@ -0,0 +1,61 @@
+// FEN import and export
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+
+const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+test('the start position round-trips', () => {
+  assert.equal(ChessEngine.toFEN(ChessEngine.createGameState()), START);
+  assert.equal(ChessEngine.toFEN(ChessEngine.fromFEN(START)), START);
+});
+
+test('positions round-trip through fromFEN and toFEN', () => {
+  for (const fen of [
+    'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2',
+    'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    '4k3/8/8/8/8/8/8/4K2R b K - 37 60'
+  ]) {
+    assert.equal(ChessEngine.toFEN(ChessEngine.fromFEN(fen)), fen);
+  }
+});
+
+test('moves played from a FEN show up in the exported FEN', () => {
+  const state = ChessEngine.createGameState();
+  ChessEngine.makeMove(state, ChessEngine.moveFromSAN(state, 'e4'));
+  assert.equal(ChessEngine.toFEN(state), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+  ChessEngine.makeMove(state, ChessEngine.moveFromSAN(state, 'Nf6'));
+  assert.equal(ChessEngine.toFEN(state), 'rnbqkb1r/pppppppp/5n2/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 1 2');
+});
+
+test('a four-field FEN gets default clocks', () => {
+  const state = ChessEngine.fromFEN('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -');
+  assert.equal(state.halfMoveClock, 0);
+  assert.equal(state.fullMoveNumber, 1);
+  assert.equal(ChessEngine.toFEN(state), START);
+});
+
+test('bad FENs are rejected with the reason', () => {
+  const cases = [
+    [null, /expected a string/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq', /expected 4 or 6 fields, got 3/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1', /expected 8 ranks/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNX w KQkq - 0 1', /unknown piece 'X'/],
+    ['rnbqkbnr/ppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /rank 7 has 7 squares/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQ1BNR w kq - 0 1', /exactly one king/],
+    ['P3k3/8/8/8/8/8/8/4K3 w - - 0 1', /first or eighth rank/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1', /side to move/],
+    ['4k2R/8/8/8/8/8/8/4K3 w - - 0 1', /side not to move is in check/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkx - 0 1', /bad castling field/],
+    ['rnbqkbn1/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', /castling right 'k'/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e9 0 1', /bad en passant square/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq e6 0 1', /does not follow a double pawn push/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - x 1', /bad half-move clock/],
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 0', /bad full-move number/]
+  ];
+  for (const [fen, message] of cases) {
+    assert.throws(() => ChessEngine.fromFEN(fen), message, String(fen));
+  }
+});
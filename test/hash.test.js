@@ -0,0 +1,102 @@
+// Incremental Zobrist hashing checked against a full recompute
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+
+// The hash computed from scratch for the same position
+function freshHash(state) {
+  const copy = ChessEngine.fromFEN(ChessEngine.toFEN(state));
+  return { hi: copy.hashHi, lo: copy.hashLo };
+}
+
+function assertHash(state, label) {
+  assert.deepEqual({ hi: state.hashHi, lo: state.hashLo }, freshHash(state), label);
+}
+
+// Small seeded generator so a failure can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    return seed / 2 ** 32;
+  };
+}
+
+const PROMOTIONS = { w: [ChessEngine.WQ, ChessEngine.WR, ChessEngine.WB, ChessEngine.WN],
+  b: [ChessEngine.BQ, ChessEngine.BR, ChessEngine.BB, ChessEngine.BN] };
+
+test('random games keep the hash in step through moves and undos', () => {
+  const rand = random(2024);
+  for (let game = 0; game < 40; game++) {
+    const state = ChessEngine.createGameState();
+    const hashes = [{ hi: state.hashHi, lo: state.hashLo }];
+    for (let ply = 0; ply < 120 && !state.isGameOver; ply++) {
+      const moves = ChessEngine.getAllLegalMoves(state);
+      if (moves.length === 0) break;
+      const move = { ...moves[Math.floor(rand() * moves.length)] };
+      if (move.promotion) move.promotionPiece = PROMOTIONS[state.turn][Math.floor(rand() * 4)];
+      // Both the plain and the full move path keep the hash up to date
+      if (ply % 2) ChessEngine.doMove(state, move);
+      else ChessEngine.makeMove(state, move);
+      assertHash(state, `game ${game}, ply ${ply + 1}`);
+      hashes.push({ hi: state.hashHi, lo: state.hashLo });
+    }
+    while (state.history.length) {
+      ChessEngine.undoMove(state);
+      assert.deepEqual({ hi: state.hashHi, lo: state.hashLo }, hashes[state.history.length],
+        `game ${game}, undo to ply ${state.history.length}`);
+    }
+  }
+});
+
+test('an en passant square that cannot be captured on leaves the hash alone', () => {
+  const play = (state, san) => ChessEngine.makeMove(state, ChessEngine.moveFromSAN(state, san));
+
+  // No black pawn beside e4
+  const state = ChessEngine.createGameState();
+  play(state, 'e4');
+  assert.ok(state.enPassant);
+  const noEp = ChessEngine.fromFEN('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1');
+  assert.equal(ChessEngine.hashKey(state), ChessEngine.hashKey(noEp));
+
+  // The capturing pawn is pinned to its king along the rank
+  const pinned = ChessEngine.fromFEN('8/8/8/8/k2p3R/8/4P3/4K3 w - - 0 1');
+  play(pinned, 'e4');
+  assertHash(pinned, 'pinned en passant');
+  const pinnedNoEp = ChessEngine.fromFEN('8/8/8/8/k2pP2R/8/8/4K3 b - - 0 1');
+  assert.equal(ChessEngine.hashKey(pinned), ChessEngine.hashKey(pinnedNoEp));
+
+  // A pawn that can take changes it
+  const capturable = ChessEngine.createGameState();
+  for (const san of ['e4', 'a6', 'e5', 'd5']) play(capturable, san);
+  const capturableNoEp = ChessEngine.fromFEN('rnbqkbnr/1pp1pppp/p7/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq - 0 3');
+  assert.notEqual(ChessEngine.hashKey(capturable), ChessEngine.hashKey(capturableNoEp));
+  assertHash(capturable, 'capturable en passant');
+});
+
+test('losing castling rights changes the hash', () => {
+  const play = (state, san) => ChessEngine.makeMove(state, ChessEngine.moveFromSAN(state, san));
+  const state = ChessEngine.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+  const start = ChessEngine.hashKey(state);
+
+  // The rook goes out and back: same placement, one right fewer
+  for (const san of ['Ra2', 'Ra7', 'Ra1', 'Ra8']) {
+    play(state, san);
+    assertHash(state, san);
+  }
+  assert.notEqual(ChessEngine.hashKey(state), start);
+  assert.equal(ChessEngine.hashKey(state), ChessEngine.hashKey(ChessEngine.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w Kk - 4 3')));
+
+  // Castling drops both of the side's rights; undo brings them back
+  play(state, 'O-O');
+  assertHash(state, 'O-O');
+  assert.equal(state.castling.wK, false);
+  ChessEngine.undoMove(state);
+  assert.equal(ChessEngine.hashKey(state), ChessEngine.hashKey(ChessEngine.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w Kk - 4 3')));
+
+  // A rook captured on its home square takes the right with it
+  const capture = ChessEngine.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+  play(capture, 'Rxa8+');
+  assertHash(capture, 'Rxa8');
+  assert.equal(capture.castling.bQ, false);
+  assert.equal(capture.castling.wQ, false);
+});
@@ -0,0 +1,89 @@
+// SAN and UCI move parsing and formatting
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+
+const { fromFEN, createGameState, moveFromSAN, moveFromUCI, moveToUCI, makeMove } = ChessEngine;
+
+// SAN of the move, as makeMove writes it
+function sanOf(state, move) {
+  const { notation } = makeMove(state, move);
+  ChessEngine.undoMove(state);
+  return notation;
+}
+
+test('SAN and UCI resolve to the same move', () => {
+  const state = createGameState();
+  for (const [san, uci] of [['e4', 'e2e4'], ['Nf3', 'g1f3'], ['a3', 'a2a3']]) {
+    const move = moveFromSAN(state, san);
+    assert.equal(moveToUCI(move), uci);
+    assert.deepEqual(moveFromUCI(state, uci), move);
+  }
+});
+
+test('SAN disambiguates by file, rank or both', () => {
+  // Knights on b1 and f1 both reach d2; rooks on a1 and a5 both reach a3
+  const state = fromFEN('4k3/8/8/R7/8/8/8/RN2KN2 w - - 0 1');
+  assert.equal(moveToUCI(moveFromSAN(state, 'Nbd2')), 'b1d2');
+  assert.equal(moveToUCI(moveFromSAN(state, 'Nfd2')), 'f1d2');
+  assert.equal(moveToUCI(moveFromSAN(state, 'R1a3')), 'a1a3');
+  assert.equal(moveToUCI(moveFromSAN(state, 'R5a3')), 'a5a3');
+  assert.equal(sanOf(state, moveFromUCI(state, 'b1d2')), 'Nbd2');
+  assert.equal(sanOf(state, moveFromUCI(state, 'a5a3')), 'R5a3');
+  assert.throws(() => moveFromSAN(state, 'Nd2'), /Ambiguous move 'Nd2': pieces on b1, f1/);
+
+  // Three queens reaching the same square need file and rank
+  const queens = fromFEN('7k/8/8/8/Q1Q5/8/Q7/7K w - - 0 1');
+  assert.equal(moveToUCI(moveFromSAN(queens, 'Qa4b3')), 'a4b3');
+  assert.equal(sanOf(queens, moveFromUCI(queens, 'a4b3')), 'Qa4b3');
+});
+
+test('promotions need and honor the promotion piece', () => {
+  const state = fromFEN('1n2k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+  const queen = moveFromSAN(state, 'a8=Q');
+  assert.equal(queen.promotionPiece, ChessEngine.WQ);
+  assert.equal(moveToUCI(queen), 'a7a8q');
+  assert.equal(moveFromSAN(state, 'axb8=N').promotionPiece, ChessEngine.WN);
+  assert.equal(moveFromSAN(state, 'axb8N').promotionPiece, ChessEngine.WN);
+  assert.equal(moveFromUCI(state, 'a7b8r').promotionPiece, ChessEngine.WR);
+  assert.equal(sanOf(state, moveFromUCI(state, 'a7b8q')), 'axb8=Q+');
+  assert.throws(() => moveFromSAN(state, 'a8'), /promotion piece missing/);
+  assert.throws(() => moveFromUCI(state, 'a7a8'), /promotion piece missing/);
+  assert.throws(() => moveFromSAN(state, 'Ke2=Q'), /only pawns can promote/);
+  assert.throws(() => moveFromUCI(state, 'e1e2q'), /not a promotion square/);
+});
+
+test('castling in SAN and UCI', () => {
+  const state = fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+  const short = moveFromSAN(state, 'O-O');
+  assert.ok(short.castleKing);
+  assert.equal(moveToUCI(short), 'e1g1');
+  assert.ok(moveFromSAN(state, '0-0-0').castleQueen);
+  assert.ok(moveFromUCI(state, 'e1c1').castleQueen);
+  assert.equal(sanOf(state, short), 'O-O');
+
+  // A rook on f8 covers f1, so White can't castle short
+  const blocked = fromFEN('4kr2/8/8/8/8/8/8/R3K2R w KQ - 0 1');
+  assert.throws(() => moveFromSAN(blocked, 'O-O'), /castling kingside is not allowed/);
+  assert.ok(moveFromSAN(blocked, 'O-O-O').castleQueen);
+});
+
+test('check, mate and annotation suffixes are ignored', () => {
+  const state = createGameState();
+  for (const san of ['e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6']) makeMove(state, moveFromSAN(state, san));
+  const mate = moveFromSAN(state, 'Qxf7#!');
+  assert.equal(moveToUCI(mate), 'h5f7');
+  assert.equal(sanOf(state, mate), 'Qxf7#');
+});
+
+test('illegal and malformed moves are rejected', () => {
+  const state = createGameState();
+  assert.throws(() => moveFromSAN(state, 'e5'), /Illegal move 'e5'/);
+  assert.throws(() => moveFromSAN(state, 'Nd4'), /Illegal move 'Nd4'/);
+  assert.throws(() => moveFromSAN(state, 'exd3'), /Illegal move 'exd3'/);
+  assert.throws(() => moveFromSAN(state, 'Zz9'), /Invalid SAN 'Zz9'/);
+  assert.throws(() => moveFromSAN(state, 42), /expected a string/);
+  assert.throws(() => moveFromUCI(state, 'e7e5'), /Illegal move 'e7e5'/);
+  assert.throws(() => moveFromUCI(state, 'e2e5'), /Illegal move 'e2e5'/);
+  assert.throws(() => moveFromUCI(state, 'e2-e4'), /Invalid UCI move 'e2-e4'/);
+});
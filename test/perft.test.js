@@ -0,0 +1,58 @@
+// Move generation checked against the published perft node counts
+// (chessprogramming.org/Perft_Results) at depths that run in a few seconds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+
+const POSITIONS = [
+  {
+    name: 'start position',
+    fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    counts: [20, 400, 8902, 197281]
+  },
+  {
+    name: 'Kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    counts: [48, 2039, 97862]
+  },
+  {
+    name: 'position 3',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    counts: [14, 191, 2812, 43238]
+  },
+  {
+    name: 'position 4',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    counts: [6, 264, 9467]
+  },
+  {
+    name: 'position 5',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    counts: [44, 1486, 62379]
+  },
+  {
+    name: 'position 6',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    counts: [46, 2079, 89890]
+  }
+];
+
+for (const { name, fen, counts } of POSITIONS) {
+  test(`perft: ${name}`, () => {
+    const state = ChessEngine.fromFEN(fen);
+    counts.forEach((expected, i) => {
+      assert.equal(ChessEngine.perft(state, i + 1), expected, `depth ${i + 1}`);
+    });
+    // The search leaves the position as it found it
+    assert.equal(ChessEngine.toFEN(state), fen);
+  });
+}
+
+test('perftDivide splits the count by root move', () => {
+  const state = ChessEngine.createGameState();
+  const { total, moves } = ChessEngine.perftDivide(state, 3);
+  assert.equal(total, 8902);
+  assert.equal(Object.keys(moves).length, 20);
+  assert.equal(moves.e2e4, 600);
+  assert.equal(Object.values(moves).reduce((sum, n) => sum + n, 0), total);
+});
@@ -0,0 +1,65 @@
+// PGN import and export
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChessEngine = require('../js/chess-engine.js');
+const ChessPGN = require('../js/pgn.js');
+
+test('moves, comments, NAGs and variations are parsed', () => {
+  const [game] = ChessPGN.parsePGN(`[Event "Test"]
+[White "A"]
+[Black "B"]
+[Result "1-0"]
+
+{Opening comment} 1. e4 e5 2. Nf3 $1 Nc6 (2... d6 3. d4) 3. Bb5!? {The Spanish} a6 1-0`);
+  assert.equal(game.headers.Event, 'Test');
+  assert.equal(game.comment, 'Opening comment');
+  assert.deepEqual(game.moves.map(n => n.san), ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6']);
+  assert.deepEqual(game.moves[2].nags, [1]);
+  assert.deepEqual(game.moves[4].nags, [5]);
+  assert.equal(game.moves[4].comment, 'The Spanish');
+  assert.deepEqual(game.moves[3].variations[0].map(n => n.san), ['d6', 'd4']);
+  assert.equal(game.result, '1-0');
+  // The variation leaves the main line where it was
+  assert.equal(ChessEngine.toFEN(game.state), 'r1bqkbnr/1ppp1ppp/p1n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4');
+});
+
+test('several games in one file', () => {
+  const games = ChessPGN.parsePGN('[Result "*"]\n\n1. d4 *\n\n[Result "0-1"]\n\n1. f3 e5 2. g4 Qh4# 0-1\n');
+  assert.equal(games.length, 2);
+  assert.deepEqual(games[1].moves.map(n => n.san), ['f3', 'e5', 'g4', 'Qh4#']);
+  assert.equal(games[1].state.termination, ChessEngine.TERMINATIONS.CHECKMATE);
+});
+
+test('a SetUp position and a result from the tags', () => {
+  const [game] = ChessPGN.parsePGN(`[SetUp "1"]
+[FEN "4k3/8/8/8/8/8/8/R3K3 w Q - 0 1"]
+[Result "1/2-1/2"]
+
+1. O-O-O Ke7 1/2-1/2`);
+  assert.equal(game.state.isGameOver, true);
+  assert.equal(game.state.result, 'draw');
+  assert.equal(game.state.termination, ChessEngine.TERMINATIONS.AGREEMENT);
+});
+
+test('an illegal move names the game and ply', () => {
+  assert.throws(() => ChessPGN.parsePGN('1. e4 e5 2. Ke3 *'), /PGN game 1, ply 3: Illegal move 'Ke3'/);
+  assert.throws(() => ChessPGN.parsePGN('1. e4 (1. d4 *'), /unterminated variation/);
+});
+
+test('exported games parse back to the same moves', () => {
+  const state = ChessEngine.createGameState();
+  for (const san of ['e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6', 'Qxf7#']) {
+    ChessEngine.makeMove(state, ChessEngine.moveFromSAN(state, san));
+  }
+  const pgn = ChessPGN.exportPGN(state, {
+    date: new Date(2024, 0, 2),
+    headers: { White: 'A', Black: 'B' },
+    comments: ['[%clk 0:09:58]']
+  });
+  assert.match(pgn, /\[Date "2024\.01\.02"\]/);
+  assert.match(pgn, /\[Result "1-0"\]/);
+  const [game] = ChessPGN.parsePGN(pgn);
+  assert.deepEqual(game.moves.map(n => n.san), state.moveList);
+  assert.equal(game.moves[0].comment, '[%clk 0:09:58]');
+  assert.equal(game.result, '1-0');
+});